@@ -12,7 +12,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 counter.textContent = `${remaining}`;
             }
         } catch (error) {
-            console.error('Error updating usage count:', error);
+            Logger.error('Error updating usage count:', error);
             const counter = document.getElementById('usagetracker');
             if (counter) {
                 counter.textContent = '--';
@@ -38,33 +38,98 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (voiceToggle) {
             voiceToggle.checked = settings.voiceEnabled;
         }
+
+        const logLevelSelect = document.getElementById('logLevel');
+        if (logLevelSelect) {
+            const stored = await chrome.storage.local.get([Logger.STORAGE_KEY]);
+            logLevelSelect.value = stored[Logger.STORAGE_KEY] || Logger.DEFAULT_LEVEL;
+        }
     };
 
-    // Initialize API Key modal functionality
+    // Initialize API Key modal functionality. Keys go to the background vault
+    // and are never read back; the modal only shows which providers have one.
     const initializeApiKeyModal = () => {
         const modal = document.getElementById('apiKeyModal');
         const openModalBtn = document.getElementById('configureApiKeys');
         const closeBtn = document.querySelector('.modal .close');
         const form = document.getElementById('apiKeyForm');
+        const unlockForm = document.getElementById('unlockForm');
+        const keyInputs = { claude: 'claudeKey', perplexity: 'perplexityKey', openai: 'openaiKey', local: 'localKey' };
+        let vaultStatus = { initialized: false, locked: true, configured: [] };
         
-        // Load existing API keys
-        chrome.storage.local.get(['claudeKey', 'perplexityKey', 'openaiKey'], (result) => {
-            if (result.claudeKey) {
-                document.getElementById('claudeKey').value = result.claudeKey;
+        const showMessage = (id, text) => {
+            const element = document.getElementById(id);
+            if (text) {
+                element.textContent = text;
             }
-            if (result.perplexityKey) {
-                document.getElementById('perplexityKey').value = result.perplexityKey;
+            element.style.display = 'block';
+        };
+        
+        const hideMessages = () => {
+            ['keyError', 'keySuccess', 'unlockError'].forEach(id => {
+                document.getElementById(id).style.display = 'none';
+            });
+        };
+        
+        // Setup (no vault yet), unlock (locked) or edit (unlocked)
+        const renderStatus = (status) => {
+            vaultStatus = status;
+            const saved = status.configured.length ?
+                `Keys saved for: ${status.configured.join(', ')}.` :
+                'No keys saved yet.';
+            
+            let statusText;
+            if (!status.initialized) {
+                statusText = status.configured.length ?
+                    `${saved} Choose a passphrase to encrypt them; until then they are dropped when the browser closes.` :
+                    'Choose a passphrase to encrypt your keys.';
+            } else {
+                statusText = `${status.locked ? 'Locked' : 'Unlocked'}. ${saved}`;
             }
-            if (result.openaiKey) {
-                document.getElementById('openaiKey').value = result.openaiKey;
+            document.getElementById('keyStatus').textContent = statusText;
+            
+            const showUnlock = status.initialized && status.locked;
+            unlockForm.style.display = showUnlock ? 'block' : 'none';
+            form.style.display = showUnlock ? 'none' : 'block';
+            document.getElementById('passphraseFields').style.display = status.initialized ? 'none' : 'block';
+            document.getElementById('lockKeys').style.display = status.initialized ? '' : 'none';
+            
+            Object.entries(keyInputs).forEach(([name, id]) => {
+                const input = document.getElementById(id);
+                input.dataset.placeholder = input.dataset.placeholder || input.placeholder;
+                input.value = '';
+                input.placeholder = status.configured.includes(name) ?
+                    'Saved (leave empty to keep)' :
+                    input.dataset.placeholder;
+            });
+        };
+        
+        const sendKeyAction = async (message) => {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                throw new Error(response?.error || 'Request failed');
             }
-        });
+            renderStatus(response.status);
+        };
+        
+        const refreshStatus = async () => {
+            try {
+                const response = await chrome.runtime.sendMessage({ action: 'getKeyStatus' });
+                if (response?.success) {
+                    renderStatus(response.status);
+                }
+            } catch (error) {
+                Logger.error('Error loading key status:', error);
+            }
+        };
+        
+        refreshStatus();
         
         // Open modal
         openModalBtn.addEventListener('click', () => {
             modal.style.display = 'block';
-            document.getElementById('keyError').style.display = 'none';
-            document.getElementById('keySuccess').style.display = 'none';
+            hideMessages();
+            refreshStatus();
         });
         
         // Close modal
@@ -79,75 +144,285 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         });
         
+        unlockForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            hideMessages();
+            
+            const passphraseInput = document.getElementById('unlockPassphrase');
+            try {
+                await sendKeyAction({ action: 'unlockKeys', passphrase: passphraseInput.value });
+                passphraseInput.value = '';
+            } catch (error) {
+                showMessage('unlockError', error.message);
+            }
+        });
+        
+        document.getElementById('resetKeys').addEventListener('click', async () => {
+            if (!confirm("Forget all saved API keys? You'll have to enter them again.")) {
+                return;
+            }
+            hideMessages();
+            try {
+                await sendKeyAction({ action: 'resetKeys' });
+            } catch (error) {
+                showMessage('unlockError', `Error: ${error.message}`);
+            }
+        });
+        
+        document.getElementById('lockKeys').addEventListener('click', async () => {
+            hideMessages();
+            try {
+                await sendKeyAction({ action: 'lockKeys' });
+            } catch (error) {
+                showMessage('keyError', `Error: ${error.message}`);
+            }
+        });
+        
         // Submit form
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
+            hideMessages();
+            
+            // Empty fields keep whatever is already saved
+            const keys = {};
+            Object.entries(keyInputs).forEach(([name, id]) => {
+                const value = document.getElementById(id).value.trim();
+                if (value) {
+                    keys[name] = value;
+                }
+            });
+            const hasNewKeys = Object.keys(keys).length > 0;
             
-            const claudeKey = document.getElementById('claudeKey').value.trim();
-            const perplexityKey = document.getElementById('perplexityKey').value.trim();
-            const openaiKey = document.getElementById('openaiKey').value.trim();
+            // A configured local endpoint (Model Settings) is enough on its own
+            const { providerSettings = {} } = await chrome.storage.local.get(['providerSettings']);
+            const hasLocalEndpoint = !!providerSettings.local?.baseUrl;
             
-            if (!claudeKey || !perplexityKey) {
-                document.getElementById('keyError').textContent = 'Both Claude and Perplexity keys are required.';
-                document.getElementById('keyError').style.display = 'block';
+            if (!hasNewKeys && vaultStatus.configured.length === 0 && !hasLocalEndpoint) {
+                showMessage('keyError', 'Enter at least one API key, or set a local endpoint under Model Settings.');
                 return;
             }
             
             try {
-                // Store keys in Chrome's local storage
-                await chrome.storage.local.set({
-                    claudeKey,
-                    perplexityKey,
-                    openaiKey: openaiKey || ''
-                });
+                if (!vaultStatus.initialized && (hasNewKeys || vaultStatus.configured.length > 0)) {
+                    const passphrase = document.getElementById('newPassphrase').value;
+                    if (passphrase.length < 8) {
+                        showMessage('keyError', 'Passphrase must be at least 8 characters.');
+                        return;
+                    }
+                    if (passphrase !== document.getElementById('confirmPassphrase').value) {
+                        showMessage('keyError', 'Passphrases do not match.');
+                        return;
+                    }
+                    
+                    await sendKeyAction({ action: 'setupKeys', passphrase, keys });
+                    document.getElementById('newPassphrase').value = '';
+                    document.getElementById('confirmPassphrase').value = '';
+                } else if (hasNewKeys) {
+                    await sendKeyAction({ action: 'updateAPIKey', keys });
+                }
                 
-                // Update keys in memory
-                await chrome.runtime.sendMessage({
-                    action: 'updateAPIKey',
-                    keyType: 'claude',
-                    key: claudeKey
-                });
+                // Show success and close modal
+                showMessage('keySuccess');
+                setTimeout(() => {
+                    modal.style.display = 'none';
+                    hideMessages();
+                }, 1500);
+            } catch (error) {
+                showMessage('keyError', `Error: ${error.message}`);
+            }
+        });
+    };
+
+    // Model settings modal, rendered from the background settings schema
+    const initializeModelSettingsModal = () => {
+        const modal = document.getElementById('modelSettingsModal');
+        const openModalBtn = document.getElementById('configureModels');
+        const closeBtn = modal.querySelector('.close');
+        const form = document.getElementById('modelSettingsForm');
+        const providerSelect = document.getElementById('settingsProvider');
+        const fieldsContainer = document.getElementById('settingsFields');
+        const errorBox = document.getElementById('settingsError');
+        const successBox = document.getElementById('settingsSuccess');
+        const resetBtn = document.getElementById('resetSettings');
+        const clearCacheBtn = document.getElementById('clearResponseCache');
+        const failoverInput = document.getElementById('failoverOrder');
+        let providers = [];
+        
+        const showError = (message) => {
+            errorBox.textContent = message;
+            errorBox.style.display = 'block';
+            successBox.style.display = 'none';
+        };
+        
+        const renderFields = () => {
+            const provider = providers.find(p => p.id === providerSelect.value);
+            fieldsContainer.innerHTML = '';
+            if (!provider) return;
+            
+            Object.entries(provider.schema).forEach(([field, rule]) => {
+                const group = document.createElement('div');
+                group.className = 'form-group';
                 
-                await chrome.runtime.sendMessage({
-                    action: 'updateAPIKey',
-                    keyType: 'perplexity',
-                    key: perplexityKey
+                const label = document.createElement('label');
+                label.htmlFor = `setting-${field}`;
+                label.textContent = rule.label;
+                
+                // Checkbox first, then its label on the same line
+                if (rule.type === 'boolean') {
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.id = `setting-${field}`;
+                    checkbox.name = field;
+                    checkbox.checked = !!(provider.settings[field] ?? provider.defaults[field]);
+                    group.classList.add('checkbox-group');
+                    group.appendChild(checkbox);
+                    group.appendChild(label);
+                    fieldsContainer.appendChild(group);
+                    return;
+                }
+                
+                let input;
+                if (rule.type === 'text') {
+                    input = document.createElement('textarea');
+                    input.rows = 3;
+                } else {
+                    input = document.createElement('input');
+                    input.type = rule.type === 'number' || rule.type === 'integer' ? 'number' : 'text';
+                    if (input.type === 'number') {
+                        input.min = rule.min;
+                        input.max = rule.max;
+                        input.step = rule.type === 'integer' ? 1 : rule.step;
+                    }
+                }
+                
+                input.id = `setting-${field}`;
+                input.name = field;
+                input.value = provider.settings[field] ?? '';
+                input.placeholder = provider.defaults[field] ?? (rule.optional ? 'Not sent' : '');
+                
+                group.appendChild(label);
+                group.appendChild(input);
+                fieldsContainer.appendChild(group);
+            });
+        };
+        
+        const loadSettings = async () => {
+            const response = await chrome.runtime.sendMessage({ action: 'getProviderSettings' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to load settings');
+            }
+            
+            const selected = providerSelect.value;
+            providers = response.providers;
+            providerSelect.innerHTML = '';
+            providers.forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.id;
+                option.textContent = provider.label;
+                providerSelect.appendChild(option);
+            });
+            providerSelect.value = selected || providers[0]?.id;
+            failoverInput.value = (response.failoverOrder || []).join(', ');
+            renderFields();
+        };
+        
+        openModalBtn.addEventListener('click', () => {
+            modal.style.display = 'block';
+            errorBox.style.display = 'none';
+            successBox.style.display = 'none';
+            loadSettings().catch(error => showError(`Error: ${error.message}`));
+        });
+        
+        closeBtn.addEventListener('click', () => {
+            modal.style.display = 'none';
+        });
+        
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.style.display = 'none';
+            }
+        });
+        
+        providerSelect.addEventListener('change', () => {
+            errorBox.style.display = 'none';
+            successBox.style.display = 'none';
+            renderFields();
+        });
+        
+        resetBtn.addEventListener('click', async () => {
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'resetProviderSettings',
+                    providerId: providerSelect.value
+                });
+                if (!response?.success) {
+                    throw new Error((response?.errors || []).join(', ') || 'Reset failed');
+                }
+                await loadSettings();
+                errorBox.style.display = 'none';
+                successBox.style.display = 'block';
+            } catch (error) {
+                showError(`Error: ${error.message}`);
+            }
+        });
+        
+        clearCacheBtn.addEventListener('click', async () => {
+            try {
+                const response = await chrome.runtime.sendMessage({ action: 'clearResponseCache' });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'Failed to clear cached answers');
+                }
+                errorBox.style.display = 'none';
+                successBox.style.display = 'none';
+                clearCacheBtn.textContent = 'Cleared';
+                setTimeout(() => {
+                    clearCacheBtn.textContent = 'Clear Cached Answers';
+                }, 2000);
+            } catch (error) {
+                showError(`Error: ${error.message}`);
+            }
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const settings = {};
+            fieldsContainer.querySelectorAll('input, textarea').forEach(input => {
+                settings[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+            });
+            
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'updateProviderSettings',
+                    providerId: providerSelect.value,
+                    settings
                 });
                 
-                if (openaiKey) {
-                    await chrome.runtime.sendMessage({
-                        action: 'updateAPIKey',
-                        keyType: 'openai',
-                        key: openaiKey
-                    });
+                if (!response?.success) {
+                    showError((response?.errors || ['Failed to save settings']).join('\n'));
+                    return;
                 }
                 
-                // Update .env file content (available in developer mode only)
-                try {
-                    const envContent = `# API Keys
-CLAUDE_API_KEY="${claudeKey}"
-PERPLEXITY_API_KEY="${perplexityKey}"
-OPENAI_API_KEY="${openaiKey || ''}"
-`;
-                    
-                    await chrome.runtime.sendMessage({
-                        action: 'updateEnvFile',
-                        content: envContent
-                    });
-                } catch (envError) {
-                    console.warn('Could not update .env file. This is expected in production.', envError);
+                const failoverResponse = await chrome.runtime.sendMessage({
+                    action: 'updateFailoverOrder',
+                    order: failoverInput.value
+                });
+                if (!failoverResponse?.success) {
+                    showError((failoverResponse?.errors || ['Failed to save failover order']).join('\n'));
+                    return;
                 }
                 
-                // Show success and close modal
-                document.getElementById('keySuccess').style.display = 'block';
+                const provider = providers.find(p => p.id === providerSelect.value);
+                provider.settings = { ...provider.defaults, ...response.settings };
+                
+                errorBox.style.display = 'none';
+                successBox.style.display = 'block';
                 setTimeout(() => {
                     modal.style.display = 'none';
-                    document.getElementById('keyError').style.display = 'none';
-                    document.getElementById('keySuccess').style.display = 'none';
+                    successBox.style.display = 'none';
                 }, 1500);
             } catch (error) {
-                document.getElementById('keyError').textContent = `Error: ${error.message}`;
-                document.getElementById('keyError').style.display = 'block';
+                showError(`Error: ${error.message}`);
             }
         });
     };
@@ -163,7 +438,19 @@ OPENAI_API_KEY="${openaiKey || ''}"
                     settings.voiceEnabled = e.target.checked;
                     await chrome.storage.local.set({ settings });
                 } catch (error) {
-                    console.error('Error saving voice settings:', error);
+                    Logger.error('Error saving voice settings:', error);
+                }
+            });
+        }
+
+        // Applies to the background, content scripts and popup alike
+        const logLevelSelect = document.getElementById('logLevel');
+        if (logLevelSelect) {
+            logLevelSelect.addEventListener('change', async (e) => {
+                try {
+                    await Logger.setLevel(e.target.value);
+                } catch (error) {
+                    Logger.error('Error saving log level:', error);
                 }
             });
         }
@@ -175,7 +462,7 @@ OPENAI_API_KEY="${openaiKey || ''}"
                     await chrome.storage.local.set({ chatHistory: [] });
                     alert('Chat history cleared!');
                 } catch (error) {
-                    console.error('Error clearing history:', error);
+                    Logger.error('Error clearing history:', error);
                     alert('Failed to clear history. Please try again.');
                 }
             });
@@ -194,7 +481,7 @@ OPENAI_API_KEY="${openaiKey || ''}"
                     await updateUsageCount();
                     alert('Usage count reset!');
                 } catch (error) {
-                    console.error('Error resetting usage:', error);
+                    Logger.error('Error resetting usage:', error);
                     alert('Failed to reset usage. Please try again.');
                 }
             });
@@ -241,7 +528,7 @@ OPENAI_API_KEY="${openaiKey || ''}"
                     window.close(); // Close popup after successful toggle
 
                 } catch (error) {
-                    console.error('Failed to open sidebar:', error);
+                    Logger.error('Failed to open sidebar:', error);
                     openSidebarBtn.disabled = false;
                     // Optionally show error to user
                     alert('Failed to open sidebar. Please refresh the page and try again.');
@@ -250,14 +537,180 @@ OPENAI_API_KEY="${openaiKey || ''}"
         }
     };
 
+    // Spend dashboard, from the background usage ledger
+    const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+    
+    const fetchSpend = async (days) => {
+        const response = await chrome.runtime.sendMessage({ action: 'getSpendSummary', days });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to load spend');
+        }
+        return response;
+    };
+    
+    const updateSpendSummary = async () => {
+        try {
+            const { summary } = await fetchSpend(30);
+            document.getElementById('spendToday').textContent = formatCost(summary.today.cost);
+            document.getElementById('spendMonth').textContent = formatCost(summary.total.cost);
+        } catch (error) {
+            Logger.error('Error loading spend:', error);
+        }
+    };
+    
+    const initializeSpendDashboard = () => {
+        const modal = document.getElementById('spendModal');
+        const openModalBtn = document.getElementById('openSpend');
+        const closeBtn = modal.querySelector('.close');
+        const periodSelect = document.getElementById('spendPeriod');
+        const priceForm = document.getElementById('priceTableForm');
+        const priceInput = document.getElementById('priceTable');
+        const errorBox = document.getElementById('spendError');
+        const successBox = document.getElementById('spendSuccess');
+        
+        const showError = (message) => {
+            errorBox.textContent = message;
+            errorBox.style.display = 'block';
+            successBox.style.display = 'none';
+        };
+        
+        const renderTable = (table, rows, firstColumn, name) => {
+            table.innerHTML = '';
+            if (rows.length === 0) {
+                const row = table.insertRow();
+                const cell = row.insertCell();
+                cell.className = 'empty-note';
+                cell.textContent = 'No requests in this period';
+                return;
+            }
+            
+            const header = table.createTHead().insertRow();
+            [firstColumn, 'Requests', 'Tokens in', 'Tokens out', 'Cost'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                header.appendChild(th);
+            });
+            
+            const body = table.createTBody();
+            rows.forEach(entry => {
+                const row = body.insertRow();
+                const cost = formatCost(entry.cost) + (entry.unpriced > 0 ? ` (+${entry.unpriced} unpriced)` : '');
+                [name(entry), entry.requests, entry.inputTokens.toLocaleString(), entry.outputTokens.toLocaleString(), cost]
+                    .forEach(value => {
+                        row.insertCell().textContent = value;
+                    });
+            });
+        };
+        
+        const renderDays = (byDay) => {
+            const container = document.getElementById('spendByDay');
+            container.innerHTML = '';
+            const highest = Math.max(0, ...byDay.map(entry => entry.cost));
+            byDay.forEach(entry => {
+                const bar = document.createElement('div');
+                bar.className = 'spend-bar';
+                bar.style.height = highest > 0 ? `${(entry.cost / highest) * 100}%` : '1px';
+                bar.title = `${entry.day}: ${formatCost(entry.cost)}, ${entry.requests} request(s)`;
+                container.appendChild(bar);
+            });
+        };
+        
+        const loadDashboard = async () => {
+            const { summary, prices } = await fetchSpend(Number(periodSelect.value));
+            const { total } = summary;
+            document.getElementById('spendTotal').textContent =
+                `${formatCost(total.cost)} over ${total.requests} request(s): ` +
+                `${total.inputTokens.toLocaleString()} tokens in, ${total.outputTokens.toLocaleString()} out` +
+                (total.unpriced > 0 ? `. ${total.unpriced} request(s) used a model with no price.` : '');
+            renderDays(summary.byDay);
+            renderTable(document.getElementById('spendByProvider'), summary.byProvider, 'Provider', entry => entry.providerLabel);
+            renderTable(document.getElementById('spendByDomain'), summary.byDomain, 'Domain', entry => entry.domain);
+            priceInput.value = JSON.stringify(prices, null, 2);
+        };
+        
+        const runAction = async (message) => {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                throw new Error((response?.errors || [response?.error || 'Request failed']).join('\n'));
+            }
+            return response;
+        };
+        
+        openModalBtn.addEventListener('click', () => {
+            modal.style.display = 'block';
+            errorBox.style.display = 'none';
+            successBox.style.display = 'none';
+            loadDashboard().catch(error => showError(`Error: ${error.message}`));
+        });
+        
+        closeBtn.addEventListener('click', () => {
+            modal.style.display = 'none';
+        });
+        
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.style.display = 'none';
+            }
+        });
+        
+        periodSelect.addEventListener('change', () => {
+            loadDashboard().catch(error => showError(`Error: ${error.message}`));
+        });
+        
+        document.getElementById('resetPrices').addEventListener('click', async () => {
+            try {
+                const response = await runAction({ action: 'resetPriceTable' });
+                priceInput.value = JSON.stringify(response.prices, null, 2);
+                errorBox.style.display = 'none';
+                successBox.style.display = 'block';
+            } catch (error) {
+                showError(`Error: ${error.message}`);
+            }
+        });
+        
+        document.getElementById('clearSpend').addEventListener('click', async () => {
+            if (!confirm('Clear all recorded spend?')) return;
+            try {
+                await runAction({ action: 'clearUsageLedger' });
+                await loadDashboard();
+                await updateSpendSummary();
+            } catch (error) {
+                showError(`Error: ${error.message}`);
+            }
+        });
+        
+        priceForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            let prices;
+            try {
+                prices = JSON.parse(priceInput.value);
+            } catch (error) {
+                showError(`Prices must be valid JSON: ${error.message}`);
+                return;
+            }
+            
+            try {
+                await runAction({ action: 'updatePriceTable', prices });
+                errorBox.style.display = 'none';
+                successBox.style.display = 'block';
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    };
+
     // Initialize
     try {
         await initializeUsage();
         await initializeSettings();
         await updateUsageCount();
+        await updateSpendSummary();
         initializeApiKeyModal();
+        initializeModelSettingsModal();
+        initializeSpendDashboard();
         setupEventListeners();
     } catch (error) {
-        console.error('Initialization error:', error);
+        Logger.error('Initialization error:', error);
     }
 });
\ No newline at end of file
@@ -1,432 +1,835 @@
-// Track tabs where scripts have been injected
-const injectedTabs = new Set();
+import '../services/logger.js';
+import '../services/request-envelope.js';
+import '../services/ai-error.js';
+import '../services/selection-actions.js';
+import { getProvider, listProviders, finishStreamToolCalls, DEFAULT_SYSTEM_PROMPT } from './providers.js';
+import { planContext, estimateTokens } from './token-budget.js';
+import { PAGE_TOOLS, MAX_TOOL_STEPS, TOOL_TIMEOUT } from './page-tools.js';
+import { captureScreenshot, fetchImage } from './vision.js';
+import { validateAgainstSchema, toObjectSchema, isUsableSchema } from './json-schema.js';
+import {
+    getSettingsSchema,
+    getStoredProviderSettings,
+    loadProviderSettings,
+    saveProviderSettings,
+    resetProviderSettings,
+    loadFailoverOrder,
+    saveFailoverOrder
+} from './settings.js';
+import {
+    FAILOVER_CODES,
+    isProviderHealthy,
+    recordProviderSuccess,
+    recordProviderFailure
+} from './circuit-breaker.js';
+import {
+    MAX_QUEUE_WAIT_MS,
+    getProviderWait,
+    noteRateLimit,
+    runQueued
+} from './rate-limiter.js';
+import { validateOpenAIKey, transcribeAudio, requestVoicePermission } from './voice.js';
+import {
+    getVaultStatus,
+    getUnlockedKeys,
+    setupVault,
+    unlockVault,
+    lockVault,
+    updateKeys,
+    resetVault,
+    migrateLegacyKeys
+} from './key-vault.js';
+import { issueHandle, checkHandle, revokeHandles } from './capabilities.js';
+import {
+    isTabInjected,
+    markTabInjected,
+    forgetTab,
+    trackRequest,
+    finishRequest,
+    takeInterruptedRequest,
+    updateKeepAlive,
+    WORKER_ID
+} from './worker-state.js';
+import { responseCacheKey, getCachedResponse, cacheResponse, clearResponseCache } from './response-cache.js';
+import {
+    domainOf,
+    recordUsage,
+    getSpendSummary,
+    loadPriceTable,
+    savePriceTable,
+    resetPriceTable,
+    clearUsageLedger
+} from './usage-ledger.js';
 
-// Initialize API keys storage
-let apiKeys = {
-    claude: '',
-    perplexity: '',
-    openai: ''
-};
+// Keys of the unlocked vault (key-vault.js); empty while it is locked
+let apiKeys = {};
 
 let activeConnections = new Map();
 
-const API_TIMEOUT = 15000; // 15 seconds
-const MAX_CONTEXT_LENGTH = 1000;
-const MAX_HISTORY_MESSAGES = 5;
+const API_TIMEOUT = 15000; // 15 seconds without stream data
+// A request that isn't streamed has nothing to show until the whole answer
+// is in (structured output, hybrid branches, the Auto router)
+const RESPONSE_TIMEOUT = 90000;
+const MAX_HISTORY_MESSAGES = 5; // conversation turns (user + assistant pairs)
+// Budget reserves for parts sent on top of the prompt (see token-budget.js)
+const IMAGE_TOKENS = 1600; // a full-size image on Claude; OpenAI's high detail is less
+const TOOL_STEP_TOKENS = 1200; // one step's calls and results (results are capped at 4000 chars)
 const PORT_TIMEOUT = 30000;
+const TRUNCATED_STOP_REASONS = ['max_tokens', 'length'];
+const MAX_SCHEMA_ATTEMPTS = 3; // structured answers, including retries after validation errors
 const CLEANUP_INTERVAL = 10000;
 
-async function loadApiKeysFromEnv() {
+async function loadApiKeys() {
     try {
-        console.log('Loading API keys from .env file...');
-        const envUrl = chrome.runtime.getURL('.env');
-        
-        const response = await fetch(envUrl, { cache: 'no-store' });
-        if (!response.ok) {
-            throw new Error(`Failed to load .env file. Status: ${response.status}`);
-        }
-        
-        const envText = await response.text();
-        
-        // Parse keys using regex
-        const claudeKeyMatch = envText.match(/CLAUDE_API_KEY=["']([^"']+)["']/);
-        const perplexityKeyMatch = envText.match(/PERPLEXITY_API_KEY=["']([^"']+)["']/);
-        const openaiKeyMatch = envText.match(/OPENAI_API_KEY=["']([^"']+)["']/);
-        
-        const claudeKey = claudeKeyMatch ? claudeKeyMatch[1] : '';
-        const perplexityKey = perplexityKeyMatch ? perplexityKeyMatch[1] : '';
-        const openaiKey = openaiKeyMatch ? openaiKeyMatch[1] : '';
-        
-        if (claudeKey) {
-            console.log('Found Claude API Key in .env file');
-        }
-        
-        if (perplexityKey) {
-            console.log('Found Perplexity API Key in .env file');
-        }
-        
-        if (openaiKey) {
-            console.log('Found OpenAI API Key in .env file');
-        }
-        
-        return {
-            claude: claudeKey,
-            perplexity: perplexityKey,
-            openai: openaiKey
-        };
+        apiKeys = (await getUnlockedKeys()) || {};
+        return Object.keys(apiKeys).length > 0;
     } catch (error) {
-        console.error('Error loading API keys from .env:', error);
-        return null;
+        Logger.error('Error loading API keys:', error);
+        return false;
     }
 }
 
-async function loadApiKeys() {
-    try {
-        // First try to get from memory
-        if (apiKeys.claude && apiKeys.perplexity) {
-            console.log('Using API keys already in memory');
-            return true;
-        }
-
-        // Then try to get from storage
-        console.log('Checking Chrome storage for API keys...');
-        const storedKeys = await chrome.storage.local.get(['claudeKey', 'perplexityKey', 'openaiKey']);
-        if (storedKeys.claudeKey && storedKeys.perplexityKey) {
-            console.log('Found API keys in Chrome storage');
-            
-            // Debug output for Claude key
-            console.log('CLAUDE KEY DEBUG:');
-            console.log('- Value:', storedKeys.claudeKey);
-            console.log('- Type:', typeof storedKeys.claudeKey);
-            console.log('- Length:', storedKeys.claudeKey.length);
-            console.log('- First chars:', storedKeys.claudeKey.substring(0, 10));
-            console.log('- Has spaces:', storedKeys.claudeKey !== storedKeys.claudeKey.trim());
-            
-            apiKeys.claude = storedKeys.claudeKey.trim(); // Ensure no whitespace
-            apiKeys.perplexity = storedKeys.perplexityKey.trim(); // Ensure no whitespace
-            apiKeys.openai = storedKeys.openaiKey ? storedKeys.openaiKey.trim() : '';
-            return true;
-        }
-
-        // Try to load from .env file
-        console.log('Trying to load API keys from .env file...');
-        const envKeys = await loadApiKeysFromEnv();
-        if (envKeys && envKeys.claude && envKeys.perplexity) {
-            console.log('Successfully loaded API keys from .env file');
-            apiKeys = envKeys;
-            
-            // Store in local storage for faster subsequent loads
-            await chrome.storage.local.set({
-                claudeKey: apiKeys.claude,
-                perplexityKey: apiKeys.perplexity,
-                openaiKey: apiKeys.openai
-            });
-            console.log('Saved .env API keys to Chrome storage');
-            
-            return true;
-        }
-        
-        console.log('Failed to load API keys. Please set them in extension popup.');
-        return false;
-    } catch (error) {
-        console.error('Error loading API keys:', error);
-        return false;
+// LOCKED when the provider has a key the user hasn't unlocked yet, AUTH when it has none
+async function missingKeyError(provider) {
+    const status = await getVaultStatus();
+    if (status.locked && status.configured.includes(provider.keyName)) {
+        const message = status.initialized ?
+            'API keys are locked. Unlock them from the extension popup.' :
+            'Set a passphrase for your saved API keys in the extension popup.';
+        return new AIError(AIError.CODES.LOCKED, message, { provider: provider.id });
     }
+    return new AIError(AIError.CODES.AUTH, `${provider.label} API key is not set`, { provider: provider.id });
+}
+
+// Popup and other extension pages, as opposed to content scripts in web pages
+function isExtensionPage(sender) {
+    return sender.id === chrome.runtime.id && !!sender.url?.startsWith(chrome.runtime.getURL(''));
 }
 
 // Load API keys on startup
 loadApiKeys();
 
-async function handlePerplexityRequest(message) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), API_TIMEOUT);
+// Plaintext keys from versions before the vault must not stay where content
+// scripts can read them
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+    if (reason === 'update') {
+        migrateLegacyKeys().catch(error => Logger.error('Failed to move plaintext API keys:', error));
+    }
+});
 
-    try {
-        // Load API keys if needed
-        await loadApiKeys();
-        
-        if (!apiKeys.perplexity) {
-            throw new Error('Perplexity API key is not set');
+// Abort timer that can be pushed back while a stream is still producing data
+function createRequestTimer(controller, ms = API_TIMEOUT) {
+    let timeoutId = setTimeout(() => controller.abort(), ms);
+    return {
+        refresh(timeoutMs = ms) {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        },
+        clear() {
+            clearTimeout(timeoutId);
         }
-        
-        // Handle context
-        let promptText = message.prompt;
-        if (message.context?.contextString) {
-            promptText = `Current Webpage Content:
-            ${message.context.contextString}
+    };
+}
+
+// Read a server-sent event stream and hand each JSON data payload to onEvent
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
 
-            URL: ${message.context.url || 'Not provided'}
-            Title: ${message.context.title || 'Not provided'}
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
 
-            User Question: ${message.prompt}`;
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (!payload || payload === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (parseError) {
+                    Logger.warn('Skipping malformed stream event:', payload.slice(0, 100));
+                    continue;
+                }
+                onEvent(event);
+            }
         }
+    } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+}
 
-        // Prepare API request
-        const response = await fetch('https://api.perplexity.ai/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKeys.perplexity}`
-            },
-            body: JSON.stringify({
-                model: 'sonar-pro',
-                messages: [{
-                    role: 'system',
-                    content: 'You are a helpful AI assistant providing information about the current webpage.'
-                }, {
-                    role: 'user',
-                    content: promptText
-                }],
-                temperature: 0.3,
-                max_tokens: 4096,
-                top_p: 0.9,
-                stream: false
-            }),
-            signal: controller.signal
-        });
+// Combine { stopReason, usage, citations } pieces from successive stream
+// events, ignoring fields an event leaves undefined
+function mergeResponseMeta(meta, update) {
+    if (!update) return meta;
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status}`);
+    const merged = { ...meta };
+    if (update.stopReason) {
+        merged.stopReason = update.stopReason;
+    }
+    if (update.citations) {
+        merged.citations = update.citations;
+    }
+    if (update.usage) {
+        merged.usage = { ...(meta.usage || {}) };
+        for (const [field, value] of Object.entries(update.usage)) {
+            if (value !== undefined && value !== null) {
+                merged.usage[field] = value;
+            }
         }
+    }
+    return merged;
+}
 
-        const data = await response.json();
-        clearTimeout(timeout);
-        
-        // Extract text from response
-        const responseText = data.choices?.[0]?.message?.content;
-        if (!responseText) {
-            throw new Error('Invalid response format from API');
+// Token counts summed over the steps of a tool-use loop
+function addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    const sum = { ...total };
+    for (const [field, value] of Object.entries(usage)) {
+        if (typeof value === 'number') {
+            sum[field] = (sum[field] || 0) + value;
         }
-        
-        console.log('Perplexity request successful');
-        return {
-            success: true,
-            data: { 
-                content: [{ 
-                    text: responseText 
-                }] 
+    }
+    return sum;
+}
+
+function resolveEndpoint(provider, settings) {
+    return typeof provider.endpoint === 'function' ? provider.endpoint(settings) : provider.endpoint;
+}
+
+// A provider is usable when it has a key; keyless providers (local servers)
+// count once the user has saved settings for them
+async function isProviderConfigured(provider) {
+    if (provider.requiresKey === false) {
+        const stored = await getStoredProviderSettings(provider.id);
+        return !!stored.baseUrl;
+    }
+    // Locked keys still count; requests fail with LOCKED until they are unlocked
+    const status = await getVaultStatus();
+    return status.configured.includes(provider.keyName);
+}
+
+// Where the Auto router's classification goes: the first provider in the
+// failover order that has a usable key and a routerModel, or null
+async function findRouterProvider() {
+    for (const id of await loadFailoverOrder()) {
+        const provider = getProvider(id);
+        if (!provider || !(await loadProviderSettings(provider)).routerModel) continue;
+        const usable = provider.requiresKey === false ?
+            await isProviderConfigured(provider) :
+            !!apiKeys[provider.keyName];
+        if (usable) return provider;
+    }
+    return null;
+}
+
+// Tokens the budget keeps free for images, tool steps or a schema
+function reservedTokensFor(provider, message, { tools = false, schema = null } = {}) {
+    let reserved = provider.supportsVision ? (message.images || []).length * IMAGE_TOKENS : 0;
+    if (tools) {
+        reserved += estimateTokens(provider, JSON.stringify(PAGE_TOOLS)) + MAX_TOOL_STEPS * TOOL_STEP_TOKENS;
+    }
+    if (schema) {
+        // Schema retries are planned again with the rejected answer's real size
+        reserved += estimateTokens(provider, JSON.stringify(schema));
+    }
+    return reserved;
+}
+
+// One round trip to the provider: the text, { stopReason, usage, citations },
+// any tool calls the model made and, for Claude in structured output mode,
+// the forced tool's input
+async function sendProviderRequest(provider, { endpoint, apiKey, requestBody, signal, timer, onDelta }) {
+    Logger.info(`Sending request to ${provider.label} API...`);
+    // Stream events push the timer back; a whole answer gets longer
+    timer.refresh(onDelta ? API_TIMEOUT : RESPONSE_TIMEOUT);
+    
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: provider.buildHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+        signal
+    });
+
+    Logger.info(`${provider.label} API response status: ${response.status}`);
+    
+    // Successful responses can also report an exhausted budget
+    const retryAfterMs = noteRateLimit(provider.id, response.headers, response.status);
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        Logger.error(`${provider.label} API error response: ${errorText}`);
+        throw AIError.fromHttpResponse(response.status, errorText, provider.id, retryAfterMs);
+    }
+
+    let text = '';
+    let meta = {};
+    let toolCalls = [];
+    let structured;
+    if (onDelta) {
+        const pendingToolCalls = new Map();
+        await readEventStream(response, (event) => {
+            timer.refresh();
+            meta = mergeResponseMeta(meta, provider.parseStreamMeta?.(event));
+            provider.parseStreamToolCalls?.(event, pendingToolCalls);
+            const delta = provider.parseStreamEvent(event);
+            if (delta) {
+                text += delta;
+                onDelta(delta);
             }
-        };
+        });
+        toolCalls = finishStreamToolCalls(pendingToolCalls);
+    } else {
+        const data = await response.json();
+        meta = mergeResponseMeta(meta, provider.parseResponseMeta?.(data));
+        text = provider.parseResponse(data) || '';
+        toolCalls = provider.parseToolCalls?.(data) || [];
+        structured = provider.parseStructuredOutput?.(data);
+    }
+    
+    return { text, meta, toolCalls, structured };
+}
 
-    } catch (error) {
-        console.error('Perplexity API error:', error);
+// Key, settings and prompt parts every request to a provider starts from,
+// with the page context and history fitted to the provider's context window
+async function prepareProviderRequest(provider, message, reservedTokens = 0) {
+    // Load API keys if needed
+    await loadApiKeys();
+    
+    const apiKey = apiKeys[provider.keyName]?.trim() || '';
+    if (!apiKey && provider.requiresKey !== false) {
+        throw await missingKeyError(provider);
+    }
+    
+    const storedSettings = await loadProviderSettings(provider);
+    // The Auto router's classification goes to the cheaper router model
+    const settings = message.routing && storedSettings.routerModel ?
+        { ...storedSettings, model: storedSettings.routerModel } :
+        storedSettings;
+    const endpoint = resolveEndpoint(provider, settings);
+    
+    const { pageContext, history, budget } = planContext(provider, settings, {
+        system: message.system || settings.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        question: message.prompt,
+        pageContext: message.context?.contextString || null,
+        history: message.history.slice(-MAX_HISTORY_MESSAGES * 2),
+        reservedTokens
+    });
+    if (budget.pageTokensSent < budget.pageTokens) {
+        Logger.info(`Condensed page context for ${provider.label} from ~${budget.pageTokens} to ~${budget.pageTokensSent} tokens`);
+    }
+    if (history.length > 0) {
+        Logger.info(`Including ${history.length / 2} earlier turn(s) for ${provider.label}`);
+    }
+    
+    // Prepare message content
+    let promptText = message.prompt;
+    if (pageContext) {
+        promptText = `Webpage Content:\n${pageContext}\n\nQuestion: ${message.prompt}`;
+    }
+
+    return { apiKey, settings, endpoint, pageContext, promptText, history, budget };
+}
+
+// The response for a provider call that threw: cancelled when the caller
+// aborted, otherwise the classified AIError. `usage` and `model` are what the
+// calls made before the failure were billed for, so the ledger still counts them.
+function failedProviderResponse(provider, error, signal, { usage = null, model = null } = {}) {
+    const spent = usage ? { usage } : {};
+    if (signal?.aborted) {
+        Logger.info(`${provider.label} request cancelled`);
         return {
             success: false,
-            error: `Perplexity API Error: ${error.message}`,
-            data: { 
-                content: [{ 
-                    text: `I apologize, but I couldn't process your request: ${error.message}` 
-                }] 
-            }
+            cancelled: true,
+            error: 'Request cancelled',
+            ...spent,
+            trace: { model }
         };
-    } finally {
-        clearTimeout(timeout);
     }
+    
+    const aiError = AIError.from(error, provider.id);
+    Logger.error(`${provider.label} API error [${aiError.code}]:`, error);
+    return {
+        ...aiError.toResponse(),
+        error: `${provider.label} API Error: ${aiError.message}`,
+        ...spent,
+        trace: { model }
+    };
 }
 
-async function handleClaudeRequest(message) {
+// runTool(call) executes a page tool in the requesting tab and resolves to
+// its result; without it (or for providers without tool support) the model
+// answers from the page context alone
+async function handleProviderRequest(provider, message, { onDelta = null, signal = null, runTool = null } = {}) {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), API_TIMEOUT);
+    const timer = createRequestTimer(controller);
+
+    // Let the caller cancel the fetch as well as the timeout
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let usage = null;
+    let requestBody;
 
     try {
-        // Load API keys if needed
-        await loadApiKeys();
-        
-        if (!apiKeys.claude) {
-            throw new Error('Claude API key is not set');
+        if (signal?.aborted) {
+            throw new Error('Request cancelled');
         }
         
-        console.log('Using Claude API key');
-        
-        // EXTREME DEBUG - Print full details about the key
-        console.log('====== CLAUDE API KEY DEBUG IN REQUEST HANDLER ======');
-        console.log('Claude key value:', apiKeys.claude);
-        console.log('Key length:', apiKeys.claude?.length);
-        console.log('Key type:', typeof apiKeys.claude);
-        console.log('Prefix check (sk-ant-):', apiKeys.claude?.startsWith('sk-ant-'));
-        console.log('Prefix check (sk-):', apiKeys.claude?.startsWith('sk-'));
-        console.log('======= END DEBUG =======');
-        
-        // Prepare message content
-        let promptText = message.prompt;
-        if (message.context?.contextString) {
-            promptText = `Webpage Content:\n${message.context.contextString}\n\nQuestion: ${message.prompt}`;
-        }
-
-        // Build request body
-        const requestBody = {
-            model: "claude-3-sonnet-20240229",
-            messages: [{
-                role: "user",
-                content: promptText
-            }],
-            max_tokens: 4096,
-            temperature: 0.7,
-            system: "You are a helpful AI assistant providing information about the current webpage."
-        };
-        
-        console.log('Sending request to Claude API...');
+        const useTools = !!(runTool && message.tools && provider.supportsTools);
+        const { apiKey, settings, endpoint, pageContext, promptText, history, budget } = await prepareProviderRequest(
+            provider,
+            message,
+            reservedTokensFor(provider, message, { tools: useTools })
+        );
 
-        // Ensure the key has no whitespace
-        const trimmedKey = apiKeys.claude.trim();
-        console.log('Making Claude API request with this key prefix:', trimmedKey.substring(0, 10));
-        
-        // Determine the right header format based on the key format
-        const headers = {
-            'Content-Type': 'application/json',
-            'anthropic-version': '2023-06-01'
-        };
-        
-        // Try to determine if this is a newer key format
-        if (trimmedKey.startsWith('sk-') && !trimmedKey.startsWith('sk-ant-')) {
-            // New format keys use Bearer authentication
-            headers['Authorization'] = `Bearer ${trimmedKey}`;
-            console.log('Using Bearer token authentication for Claude API');
-        } else {
-            // Old format keys use x-api-key
-            headers['x-api-key'] = trimmedKey;
-            console.log('Using x-api-key authentication for Claude API');
-        }
-        
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
-        });
+        const toolMessages = [];
+        const toolCalls = [];
+        let responseText = '';
+        let meta = {};
 
-        console.log(`Claude API response status: ${response.status}`);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Claude API error response: ${errorText}`);
-            throw new Error(`Claude API Error (${response.status}): ${errorText}`);
+        // Tool-use loop: each step either answers or calls tools whose
+        // results go back in the next step
+        for (let step = 0; ; step++) {
+            // Past the step limit the model has to answer in text
+            const lastStep = step >= MAX_TOOL_STEPS;
+            requestBody = provider.buildRequest({
+                promptText,
+                pageContext,
+                question: message.prompt,
+                history,
+                system: message.system,
+                temperature: message.temperature,
+                stream: !!onDelta,
+                settings,
+                tools: useTools ? PAGE_TOOLS : null,
+                toolChoice: lastStep ? 'none' : 'auto',
+                toolMessages,
+                images: provider.supportsVision ? message.images : []
+            });
+            
+            // Separate text from successive steps with a blank line
+            const hadText = !!responseText;
+            let firstDelta = true;
+            const stepDelta = onDelta ? (delta) => {
+                if (firstDelta && hadText) {
+                    onDelta('\n\n');
+                }
+                firstDelta = false;
+                onDelta(delta);
+            } : null;
+            
+            const result = await sendProviderRequest(provider, {
+                endpoint,
+                apiKey,
+                requestBody,
+                signal: controller.signal,
+                timer,
+                onDelta: stepDelta
+            });
+            
+            if (result.text) {
+                responseText = hadText ? `${responseText}\n\n${result.text}` : result.text;
+            }
+            usage = addUsage(usage, result.meta.usage);
+            meta = result.meta;
+            
+            if (!useTools || lastStep || result.toolCalls.length === 0) {
+                break;
+            }
+            
+            const results = [];
+            for (const call of result.toolCalls) {
+                Logger.info(`${provider.label} called tool ${call.name}`);
+                const output = await runTool(call);
+                timer.refresh();
+                results.push(output);
+                toolCalls.push({ name: call.name, input: call.input, ok: !output?.error });
+            }
+            toolMessages.push(...provider.buildToolMessages({ text: result.text, toolCalls: result.toolCalls, results }));
         }
 
-        const data = await response.json();
-        console.log('Successfully received Claude API response');
+        if (!responseText) {
+            throw new AIError(AIError.CODES.UNKNOWN, 'Invalid response format from API', { provider: provider.id });
+        }
         
-        const responseText = data.content[0].text;
-
+        Logger.info(`${provider.label} request successful`);
         return {
             success: true,
             data: {
                 content: [{ text: responseText }]
-            }
+            },
+            stopReason: meta.stopReason || null,
+            // Anthropic reports max_tokens, OpenAI-compatible APIs report length
+            truncated: TRUNCATED_STOP_REASONS.includes(meta.stopReason),
+            usage,
+            citations: meta.citations || [],
+            toolCalls,
+            trace: { model: requestBody.model, budget }
         };
 
     } catch (error) {
-        console.error('Claude API error:', error);
-        return {
-            success: false,
-            error: `Claude API Error: ${error.message}`,
-            data: {
-                content: [{ 
-                    text: `I apologize, but I couldn't process your request: ${error.message}` 
-                }]
-            }
-        };
+        return failedProviderResponse(provider, error, signal, { usage, model: requestBody?.model });
     } finally {
-        clearTimeout(timeout);
+        timer.clear();
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+// JSON from a text answer, allowing for a ```json fence around it
+function parseJsonAnswer(text) {
+    const json = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return { value: JSON.parse(json) };
+    } catch (error) {
+        return { error: `$: answer is not valid JSON (${error.message})` };
     }
 }
 
-async function handleOpenAIRequest(message) {
+// Structured output mode: ask for an answer in the shape of message.schema,
+// validate it and send the violations back for another try, up to
+// MAX_SCHEMA_ATTEMPTS. Not streamed; the hover box shows the result as a table.
+// onProgress({ attempt, errors }) fires before each retry.
+async function handleStructuredRequest(provider, message, { signal = null, onProgress = null } = {}) {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), API_TIMEOUT);
+    const timer = createRequestTimer(controller);
 
-    try {
-        // Load API keys if needed
-        await loadApiKeys();
-        
-        if (!apiKeys.openai) {
-            throw new Error('OpenAI API key is not set');
-        }
-        
-        // Prepare message content
-        let promptText = message.prompt;
-        if (message.context?.contextString) {
-            promptText = `Webpage Content:\n${message.context.contextString}\n\nQuestion: ${message.prompt}`;
-        }
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKeys.openai}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a helpful AI assistant providing information about the current webpage."
-                    },
-                    {
-                        role: "user",
-                        content: promptText
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 4000
-            }),
-            signal: controller.signal
-        });
+    // Summed over every attempt, including ones that failed validation
+    let usage = null;
+    let requestBody;
 
-        if (!response.ok) {
-            throw new Error(`OpenAI API Error: ${response.status}`);
+    try {
+        if (signal?.aborted) {
+            throw new Error('Request cancelled');
         }
+        
+        const { schema, unwrap } = toObjectSchema(message.schema);
+        const reserved = reservedTokensFor(provider, message, { schema });
+        let prepared = await prepareProviderRequest(provider, message, reserved);
 
-        const data = await response.json();
-        const responseText = data.choices[0]?.message?.content;
+        // Only the latest rejected answer and its feedback go back to the model
+        let followUps = [];
+        let errors = [];
 
-        return {
-            success: true,
-            data: {
-                content: [{ text: responseText }]
+        for (let attempt = 1; attempt <= MAX_SCHEMA_ATTEMPTS; attempt++) {
+            if (attempt > 1) {
+                // Make room for them, condensing the page further if needed
+                prepared = await prepareProviderRequest(
+                    provider,
+                    message,
+                    reserved + estimateTokens(provider, JSON.stringify(followUps))
+                );
             }
-        };
-
-    } catch (error) {
-        console.error('OpenAI API error:', error);
-        return {
-            success: false,
-            error: `OpenAI API Error: ${error.message}`,
-            data: {
-                content: [{ 
-                    text: `I apologize, but I couldn't process your request: ${error.message}` 
-                }]
+            const { apiKey, settings, endpoint, pageContext, promptText, history, budget } = prepared;
+            requestBody = provider.buildRequest({
+                promptText,
+                pageContext,
+                question: message.prompt,
+                history,
+                system: message.system,
+                temperature: message.temperature,
+                stream: false,
+                settings,
+                toolMessages: followUps,
+                images: provider.supportsVision ? message.images : [],
+                schema
+            });
+            
+            const result = await sendProviderRequest(provider, {
+                endpoint,
+                apiKey,
+                requestBody,
+                signal: controller.signal,
+                timer,
+                onDelta: null
+            });
+            usage = addUsage(usage, result.meta.usage);
+            
+            const answer = result.structured !== undefined ?
+                { value: result.structured } :
+                parseJsonAnswer(result.text);
+            errors = answer.error ? [answer.error] : validateAgainstSchema(answer.value, schema);
+            
+            if (errors.length === 0) {
+                const value = unwrap(answer.value);
+                Logger.info(`${provider.label} structured answer matched the schema on attempt ${attempt}`);
+                return {
+                    success: true,
+                    data: {
+                        content: [{ text: JSON.stringify(value, null, 2) }]
+                    },
+                    structured: value,
+                    schemaAttempts: attempt,
+                    stopReason: result.meta.stopReason || null,
+                    truncated: TRUNCATED_STOP_REASONS.includes(result.meta.stopReason),
+                    usage,
+                    citations: result.meta.citations || [],
+                    trace: { model: requestBody.model, budget }
+                };
             }
-        };
+            
+            Logger.warn(`${provider.label} structured answer failed validation (attempt ${attempt}):`, errors);
+            if (attempt < MAX_SCHEMA_ATTEMPTS) {
+                onProgress?.({ attempt: attempt + 1, errors });
+            }
+            const feedback = `The answer does not match the JSON schema:\n${errors.map(error => `- ${error}`).join('\n')}\nAnswer again with corrected data.`;
+            if (result.structured !== undefined) {
+                // Claude answered through the forced tool; the feedback is its result
+                followUps = provider.buildToolMessages({
+                    text: result.text,
+                    toolCalls: result.toolCalls,
+                    results: result.toolCalls.map(() => ({ error: feedback }))
+                });
+            } else {
+                followUps = [
+                    { role: 'assistant', content: result.text || '' },
+                    { role: 'user', content: feedback }
+                ];
+            }
+        }
+        
+        throw new AIError(
+            AIError.CODES.SCHEMA,
+            `Answer did not match the schema after ${MAX_SCHEMA_ATTEMPTS} attempts: ${errors.slice(0, 3).join('; ')}`,
+            { provider: provider.id }
+        );
+    } catch (error) {
+        return failedProviderResponse(provider, error, signal, { usage, model: requestBody?.model });
     } finally {
-        clearTimeout(timeout);
+        timer.clear();
+        signal?.removeEventListener('abort', cancel);
     }
 }
 
-async function handleApiRequest(message) {
+// The requested provider followed by the configured failover order, limited
+// to providers that are set up. Unhealthy providers are skipped unless every
+// candidate is unhealthy, in which case the first one still gets a try.
+async function buildProviderChain(requested) {
+    const order = await loadFailoverOrder();
+    const chain = [requested];
+    
+    for (const id of order) {
+        const provider = getProvider(id);
+        if (provider && !chain.includes(provider) && await isProviderConfigured(provider)) {
+            chain.push(provider);
+        }
+    }
+    
+    const healthy = chain.filter(provider => isProviderHealthy(provider.id));
+    return {
+        candidates: healthy.length > 0 ? healthy : [requested],
+        skipped: chain.filter(provider => !healthy.includes(provider))
+    };
+}
+
+// Price one provider attempt into the usage ledger; its cost, or null
+async function recordAttemptUsage(provider, response, domain) {
+    if (!response.usage) return null;
+    return recordUsage({
+        providerId: provider.id,
+        model: response.trace?.model || null,
+        usage: response.usage,
+        domain
+    });
+}
+
+// onWait({ provider, providerLabel, waitMs }) fires when a request is held
+// back because the provider is rate limiting us; runTool(call) runs a page tool
+// in the requesting tab (see handleProviderRequest); onProgress reports
+// structured output retries (see handleStructuredRequest). `domain` is the
+// requesting tab's host, for the usage ledger.
+async function handleApiRequest(rawMessage, {
+    onDelta = null,
+    signal = null,
+    onWait = null,
+    runTool = null,
+    onProgress = null,
+    domain = null
+} = {}) {
     try {
-        if (!message?.prompt) {
+        if (!rawMessage?.prompt) {
             throw new Error('Invalid request format');
         }
 
-        const model = message.model || 'claude';
+        const message = RequestEnvelope.normalize(rawMessage);
+        const model = message.model;
+        const startTime = Date.now();
         
         // Log API request for debugging
-        console.log(`Making API request to ${model} with prompt: ${message.prompt.substring(0, 100)}...`);
+        Logger.info(`Making API request to ${model} with prompt: ${message.prompt.substring(0, 100)}...`);
+        
+        // The router has its own provider; otherwise look up the requested
+        // model, defaulting to Claude
+        await loadApiKeys();
+        let requested = message.routing ? await findRouterProvider() : getProvider(model);
+        if (message.routing && !requested) {
+            throw new AIError(AIError.CODES.UNKNOWN, 'No provider with a router model is configured');
+        }
+        if (!requested) {
+            Logger.warn(`Unknown model "${model}", falling back to ${RequestEnvelope.DEFAULT_MODEL}`);
+            requested = getProvider(RequestEnvelope.DEFAULT_MODEL);
+        }
+
+        if (message.schema && !isUsableSchema(message.schema)) {
+            throw new AIError(AIError.CODES.UNKNOWN, 'The JSON schema must be an object with a type or properties');
+        }
+        const handler = message.schema ? handleStructuredRequest : handleProviderRequest;
+
+        // The same question about the same page, answered before
+        const cacheKey = message.cache ?
+            await responseCacheKey(requested, await loadProviderSettings(requested), message) :
+            null;
+        if (cacheKey) {
+            const cached = await getCachedResponse(cacheKey);
+            if (cached) {
+                Logger.info(`Answering from the response cache (${cached.response.trace.providerLabel})`);
+                return {
+                    ...cached.response,
+                    trace: {
+                        ...cached.response.trace,
+                        cached: true,
+                        cachedAt: cached.createdAt,
+                        cost: 0,
+                        latencyMs: Date.now() - startTime
+                    }
+                };
+            }
+        }
+
+        // A router that fails is replaced by keyword routing, not another provider
+        const chain = message.routing ?
+            { candidates: [requested], skipped: [] } :
+            await buildProviderChain(requested);
+        const failover = chain.skipped.map(provider => ({
+            provider: provider.id,
+            providerLabel: provider.label,
+            reason: 'circuit open'
+        }));
+        
+        // Screenshots and images can only go to multimodal providers
+        let candidates = chain.candidates;
+        if (message.images.length > 0) {
+            candidates.filter(provider => !provider.supportsVision).forEach(provider => {
+                failover.push({ provider: provider.id, providerLabel: provider.label, reason: 'no image support' });
+            });
+            candidates = candidates.filter(provider => provider.supportsVision);
+            if (candidates.length === 0) {
+                throw new AIError(
+                    AIError.CODES.UNKNOWN,
+                    'No configured provider can read images. Add a Claude or OpenAI key to send screenshots and images.',
+                    { provider: requested.id }
+                );
+            }
+        }
+        
+        // Once text has streamed to the page another provider can't take over
+        let streamed = false;
+        const trackedDelta = onDelta ? (text) => {
+            streamed = true;
+            onDelta(text);
+        } : null;
         
-        // Get handler for the requested model
-        let handler;
-        switch (model.toLowerCase()) {
-            case 'perplexity':
-                handler = handlePerplexityRequest;
+        let provider;
+        let response;
+        let cost = null;
+        for (provider of candidates) {
+            const waitMs = getProviderWait(provider.id);
+            // Skipped without a request, so it says nothing new about the provider's health
+            const queuedTooLong = waitMs > MAX_QUEUE_WAIT_MS;
+            if (queuedTooLong) {
+                // Too long to hold the request; let the next provider answer
+                response = new AIError(
+                    AIError.CODES.RATE_LIMIT,
+                    `${provider.label} is rate limited for another ${Math.ceil(waitMs / 1000)}s`,
+                    { provider: provider.id, retryAfterMs: waitMs }
+                ).toResponse();
+            } else {
+                Logger.info(`Calling ${provider.label} API handler...`);
+                const current = provider;
+                response = await runQueued(
+                    provider.id,
+                    () => handler(current, message, { onDelta: trackedDelta, signal, runTool, onProgress }),
+                    {
+                        signal,
+                        onWait: onWait && (ms => onWait({
+                            provider: current.id,
+                            providerLabel: current.label,
+                            waitMs: ms
+                        }))
+                    }
+                );
+                Logger.info(`API response received from ${provider.label}: ${response.success}`);
+                // Every attempt is billed, including ones that fail over
+                cost = await recordAttemptUsage(provider, response, domain);
+            }
+            
+            if (response.success) {
+                recordProviderSuccess(provider.id);
                 break;
-            case 'openai':
-                handler = handleOpenAIRequest;
+            }
+            if (response.cancelled) {
+                return response;
+            }
+            
+            if (!queuedTooLong) {
+                recordProviderFailure(provider.id, response.code);
+            }
+            if (!FAILOVER_CODES.has(response.code) || streamed) {
                 break;
-            case 'claude':
-            default:
-                handler = handleClaudeRequest;
+            }
+            
+            failover.push({ provider: provider.id, providerLabel: provider.label, reason: response.code });
+            Logger.warn(`${provider.label} failed with ${response.code}, trying next provider`);
+        }
+        
+        // Record which provider actually answered so the UI can show it
+        response.trace = {
+            requestedModel: model,
+            provider: provider.id,
+            providerLabel: provider.label,
+            model: response.trace?.model || null,
+            reasoning: message.modelDecision?.reasoning || null,
+            fallback: provider.id !== model,
+            failover,
+            budget: response.trace?.budget || null,
+            latencyMs: Date.now() - startTime
+        };
+        
+        if (response.usage) {
+            response.trace.cost = cost;
+        }
+        
+        // A failover provider that opts out of caching keeps its answer out too
+        if (cacheKey && response.success &&
+            (provider === requested || (await loadProviderSettings(provider)).cacheResponses !== false)) {
+            await cacheResponse(cacheKey, response);
         }
-
-        // Process the request with the appropriate handler
-        console.log(`Calling ${model} API handler...`);
-        const response = await handler(message);
-        console.log(`API response received from ${model}: ${response.success}`);
         
         return response;
     } catch (error) {
-        console.error('API request error:', error);
+        // Cancelled while queued behind a rate limit
+        if (signal?.aborted) {
+            return { success: false, cancelled: true, error: 'Request cancelled', trace: {} };
+        }
         
-        // Return error response
-        return {
-            success: false,
-            error: `API Error: ${error.message || 'Unknown error occurred'}`,
-            data: {
-                content: [{
-                    text: `Sorry, I encountered an error: ${error.message}. Please verify your API keys and try again.`
-                }]
-            }
-        };
+        Logger.error('API request error:', error);
+        return AIError.from(error).toResponse();
     }
 }
 
@@ -440,90 +843,236 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return true;
         }
         
-        // Validate API key format based on model
-        if (model === 'claude') {
-            if (!apiKeys.claude) {
-                sendResponse({ success: false, error: 'Claude API key is not set' });
-                return true;
-            }
-            
-            // Accept all Claude API key formats (sk-ant- or sk-)
-            // Ensure key exists and has a valid format
-            if (!apiKeys.claude || typeof apiKeys.claude !== 'string' || 
-                (!apiKeys.claude.startsWith('sk-ant-') && !apiKeys.claude.startsWith('sk-'))) {
-                sendResponse({ success: false, error: 'Invalid Claude API key format. Should start with sk-ant- or sk-' });
-                return true;
-            }
-            
-            sendResponse({ success: true });
-        } 
-        else if (model === 'perplexity') {
-            if (!apiKeys.perplexity) {
-                sendResponse({ success: false, error: 'Perplexity API key is not set' });
-                return true;
-            }
-            
-            if (!apiKeys.perplexity.startsWith('pplx-')) {
-                sendResponse({ success: false, error: 'Invalid Perplexity API key format. Should start with pplx-' });
-                return true;
-            }
-            
-            sendResponse({ success: true });
+        const provider = getProvider(model);
+        if (!provider) {
+            sendResponse({ success: false, error: 'Invalid model' });
+            return true;
         }
-        else if (model === 'openai') {
-            if (!apiKeys.openai) {
-                sendResponse({ success: false, error: 'OpenAI API key is not set' });
-                return true;
-            }
-            
+        
+        // Keyless providers (local servers) have nothing to validate
+        if (provider.requiresKey === false) {
             sendResponse({ success: true });
-        }
-        else {
-            sendResponse({ success: false, error: 'Invalid model' });
+            return true;
         }
         
+        // Validate API key presence and, where the provider declares one, its format
+        loadApiKeys()
+            .then(async () => {
+                const key = apiKeys[provider.keyName];
+                if (!key) {
+                    return (await missingKeyError(provider)).toResponse();
+                }
+                if (provider.keyPattern && !provider.keyPattern.test(key)) {
+                    return { success: false, error: `Invalid ${provider.label} API key format. ${provider.keyFormatHint}` };
+                }
+                return { success: true };
+            })
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
     }
     
-    if (message.action === 'updateAPIKey') {
-        const keyType = message.keyType;
-        const key = message.key;
+    // Voice input (VoiceService). A valid key earns the caller a transcription
+    // handle; the key itself never leaves the background.
+    if (message.action === 'validateOpenAIKey') {
+        const tabId = sender.tab?.id ?? null;
+        loadApiKeys()
+            .then(async () => apiKeys.openai ?
+                validateOpenAIKey(apiKeys.openai) :
+                (await missingKeyError(getProvider('openai'))).toResponse())
+            .then(result => sendResponse(result.success ?
+                { ...result, handle: issueHandle('transcribe', tabId) } :
+                result))
+            .catch(error => sendResponse(AIError.from(error, 'openai').toResponse()));
+        return true;
+    }
+    
+    if (message.action === 'transcribeAudio') {
+        if (!checkHandle(message.handle, 'transcribe', sender.tab?.id ?? null)) {
+            sendResponse({
+                ...new AIError(AIError.CODES.AUTH, 'Voice input needs to be set up again', { provider: 'openai' }).toResponse(),
+                handleExpired: true
+            });
+            return true;
+        }
         
-        if (!keyType || !key) {
-            sendResponse({ success: false, error: 'Missing key type or key' });
+        loadApiKeys()
+            .then(async () => apiKeys.openai ?
+                transcribeAudio({ audio: message.audio, key: apiKeys.openai, mimeType: message.mimeType }) :
+                (await missingKeyError(getProvider('openai'))).toResponse())
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse(AIError.from(error, 'openai').toResponse()));
+        return true;
+    }
+    
+    if (message.action === 'requestVoicePermission') {
+        requestVoicePermission(sender.tab?.id)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message, code: 'UNKNOWN' }));
+        return true;
+    }
+    
+    // The hover box hides itself before asking, so it isn't in the shot
+    if (message.action === 'captureScreenshot') {
+        captureScreenshot(sender.tab?.windowId)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    // Compared with the id a request port reported, after the port dropped
+    if (message.action === 'getWorkerId') {
+        sendResponse({ success: true, workerId: WORKER_ID });
+        return false;
+    }
+    
+    if (message.action === 'listProviders') {
+        loadApiKeys()
+            .then(() => Promise.all(listProviders().map(async provider => ({
+                id: provider.id,
+                label: provider.label,
+                available: await isProviderConfigured(provider),
+                router: !!(await loadProviderSettings(provider)).routerModel
+            }))))
+            .then(providers => sendResponse({ success: true, providers }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    if (message.action === 'getProviderSettings') {
+        Promise.all([
+            Promise.all(listProviders().map(async provider => ({
+                id: provider.id,
+                label: provider.label,
+                schema: getSettingsSchema(provider),
+                defaults: provider.defaultSettings || {},
+                settings: await loadProviderSettings(provider)
+            }))),
+            loadFailoverOrder()
+        ])
+            .then(([providers, failoverOrder]) => sendResponse({ success: true, providers, failoverOrder }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    if (message.action === 'updateFailoverOrder') {
+        if (!isExtensionPage(sender)) {
+            sendResponse({ success: false, errors: ['Not allowed'] });
+            return false;
+        }
+        saveFailoverOrder(message.order, listProviders().map(provider => provider.id))
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, errors: [error.message] }));
+        return true;
+    }
+    
+    // Spend dashboard: totals, the price table and clearing the history. The
+    // ledger lists the domains questions were asked on, so pages can't read it.
+    const spendActions = {
+        getSpendSummary: async () => {
+            const summary = await getSpendSummary(Number(message.days) || 30);
+            summary.byProvider.forEach(entry => {
+                entry.providerLabel = getProvider(entry.provider)?.label || entry.provider;
+            });
+            return { summary, prices: await loadPriceTable() };
+        },
+        updatePriceTable: () => savePriceTable(message.prices),
+        resetPriceTable: () => resetPriceTable(),
+        clearUsageLedger: async () => {
+            await clearUsageLedger();
+            return {};
+        }
+    };
+    if (spendActions[message.action]) {
+        if (!isExtensionPage(sender)) {
+            sendResponse({ success: false, error: 'Not allowed' });
+            return false;
+        }
+        spendActions[message.action]()
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => {
+                Logger.error(`${message.action} failed:`, error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    if (message.action === 'clearResponseCache') {
+        if (!isExtensionPage(sender)) {
+            sendResponse({ success: false, error: 'Not allowed' });
+            return false;
+        }
+        clearResponseCache()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    if (message.action === 'updateProviderSettings' || message.action === 'resetProviderSettings') {
+        // Settings choose where requests and keys go, so only the popup may change them
+        if (!isExtensionPage(sender)) {
+            sendResponse({ success: false, errors: ['Not allowed'] });
+            return false;
+        }
+        const provider = getProvider(message.providerId);
+        if (!provider) {
+            sendResponse({ success: false, errors: ['Unknown provider'] });
             return true;
         }
         
-        console.log(`Updating ${keyType} API key`);
+        const update = message.action === 'resetProviderSettings' ?
+            resetProviderSettings(provider) :
+            saveProviderSettings(provider, message.settings);
         
-        // Store in memory
-        apiKeys[keyType] = key;
+        update
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, errors: [error.message] }));
+        return true;
+    }
+    
+    // Key vault status is safe for any caller: which providers have keys,
+    // and whether they are locked
+    if (message.action === 'getKeyStatus') {
+        getVaultStatus()
+            .then(status => sendResponse({ success: true, status }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    // Changing keys or the lock state is reserved for the popup
+    const keyActions = {
+        setupKeys: () => setupVault(message.passphrase, message.keys),
+        unlockKeys: () => unlockVault(message.passphrase),
+        lockKeys: () => lockVault(),
+        resetKeys: () => resetVault(),
+        updateAPIKey: () => updateKeys(message.keys || { [message.keyType]: message.key })
+    };
+    if (keyActions[message.action]) {
+        if (!isExtensionPage(sender)) {
+            sendResponse({ success: false, error: 'Not allowed' });
+            return false;
+        }
         
-        // Store in storage
-        chrome.storage.local.set({ [`${keyType}Key`]: key })
-            .then(() => {
-                console.log(`${keyType} API key saved to storage`);
-                sendResponse({ success: true });
+        keyActions[message.action]()
+            .then(async status => {
+                // Handles issued under keys that were locked away or replaced stop working
+                if (message.action !== 'setupKeys' && message.action !== 'unlockKeys') {
+                    revokeHandles();
+                }
+                await loadApiKeys();
+                sendResponse({ success: true, status });
             })
             .catch(error => {
-                console.error(`Failed to save ${keyType} API key to storage:`, error);
+                Logger.error(`${message.action} failed:`, error);
                 sendResponse({ success: false, error: error.message });
             });
         return true;
     }
     
     if (message.action === 'queryAPI') {
-        handleApiRequest(message)
+        handleApiRequest(message, { domain: domainOf(sender.tab?.url) })
             .then(response => sendResponse(response))
-            .catch(error => sendResponse({ 
-                success: false, 
-                error: error.message,
-                data: {
-                    content: [{
-                        text: `Sorry, I encountered an error: ${error.message}. Please try again.`
-                    }]
-                }
-            }));
+            .catch(error => sendResponse(AIError.from(error).toResponse()));
         return true;
     }
     
@@ -545,37 +1094,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Handle connection to the extension
 chrome.runtime.onConnect.addListener((port) => {
     const portId = port.name;
-    
-    // Create timeout handler
-    const timeoutId = setTimeout(() => {
-        if (activeConnections.has(portId)) {
-            const connection = activeConnections.get(portId);
-            if (connection.port) {
-                connection.port.postMessage({ 
-                    success: false, 
-                    error: 'Request timed out' 
-                });
-            }
-            cleanupConnection(portId);
-        }
-    }, PORT_TIMEOUT);
 
     // Store connection info
     activeConnections.set(portId, {
         port,
-        timeoutId,
-        startTime: Date.now()
+        timeoutId: null,
+        abortController: new AbortController(),
+        pendingTools: new Map(),
+        startTime: Date.now(),
+        lastActivity: Date.now()
     });
+    scheduleConnectionTimeout(portId);
+    updateKeepAlive(activeConnections.size);
 
     // Handle disconnection
     port.onDisconnect.addListener(() => {
-        cleanupConnection(portId);
+        cleanupConnection(portId, { notify: false });
     });
 
     // Message handler
     port.onMessage.addListener(async (message) => {
         try {
-            console.log('Received port message:', {
+            Logger.info('Received port message:', {
                 type: message.action,
                 prompt: message.prompt?.slice(0, 50) + '...'
             });
@@ -586,35 +1126,149 @@ chrome.runtime.onConnect.addListener((port) => {
             }
 
             // Handle the message based on type
-            if (message.action === 'queryAPI') {
-                const response = await handleApiRequest(message);
-                if (connection.port) {
-                    connection.port.postMessage(response);
+            if (message.action === 'cancel') {
+                Logger.info(`Cancelling request on ${portId}`);
+                connection.abortController.abort();
+            } else if (message.action === 'tool_result') {
+                connection.pendingTools.get(message.id)?.(message.result);
+            } else if (message.action === 'queryAPI') {
+                // Lets the content script tell a dropped port from a worker restart
+                connection.port.postMessage({ type: 'started', workerId: WORKER_ID });
+                
+                // Without a stream the port stays quiet until the whole answer is in
+                const quietMs = message.stream ? 0 : RESPONSE_TIMEOUT;
+                scheduleConnectionTimeout(portId, quietMs);
+                
+                // Forward partial text as it arrives when the caller asked for a stream
+                const onDelta = message.stream ? (text) => {
+                    scheduleConnectionTimeout(portId);
+                    connection.port?.postMessage({ type: 'delta', text });
+                } : null;
+                
+                // Keep the port open through a rate-limit wait and say how long it is
+                const onWait = (wait) => {
+                    scheduleConnectionTimeout(portId, quietMs + wait.waitMs);
+                    connection.port?.postMessage({ type: 'wait', ...wait });
+                };
+
+                // Page tools run in the content script; the call goes out over the
+                // port and the request waits for the matching tool_result
+                const runTool = (call) => requestToolResult(portId, call);
+                
+                // Structured output retries keep the port alive
+                const onProgress = (progress) => {
+                    scheduleConnectionTimeout(portId, quietMs);
+                    connection.port?.postMessage({ type: 'progress', ...progress });
+                };
+
+                // A request the previous worker was running when it stopped,
+                // resent by the content script
+                const interrupted = await takeInterruptedRequest(message.requestId);
+                if (interrupted) {
+                    Logger.info(`Resuming request ${message.requestId} after a worker restart`);
+                }
+                
+                await trackRequest(message.requestId, {
+                    portId,
+                    tabId: port.sender?.tab?.id ?? null,
+                    provider: message.model
+                });
+                let response;
+                try {
+                    response = await handleApiRequest(message, {
+                        onDelta,
+                        signal: connection.abortController.signal,
+                        onWait,
+                        runTool,
+                        onProgress,
+                        domain: domainOf(port.sender?.tab?.url)
+                    });
+                } finally {
+                    await finishRequest(message.requestId);
+                }
+                
+                if (interrupted && response.trace) {
+                    response.trace.resumed = true;
+                }
+                
+                // The port is gone if the tab closed or navigated away mid-request
+                if (activeConnections.has(portId)) {
+                    connection.port.postMessage({ type: 'done', ...response });
                 }
             } else {
                 throw new Error('Unknown action type');
             }
         } catch (error) {
-            if (port) {
+            if (activeConnections.has(portId)) {
                 port.postMessage({
-                    success: false,
-                    error: error.message || 'Unknown error occurred'
+                    type: 'done',
+                    ...AIError.from(error).toResponse()
                 });
             }
         }
     });
 });
 
-function cleanupConnection(portId) {
+// Send a tool call to the content script and wait for its result. A tool that
+// doesn't answer within TOOL_TIMEOUT gives the model an error result instead.
+function requestToolResult(portId, call) {
+    const connection = activeConnections.get(portId);
+    if (!connection) {
+        return Promise.resolve({ error: 'Page is no longer connected' });
+    }
+
+    return new Promise((resolve) => {
+        const { signal } = connection.abortController;
+        const finish = (result) => {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onAbort);
+            connection.pendingTools.delete(call.id);
+            resolve(result ?? { error: 'Tool returned no result' });
+        };
+        const onAbort = () => finish({ error: 'Request cancelled' });
+        const timeoutId = setTimeout(() => finish({ error: `${call.name} timed out` }), TOOL_TIMEOUT);
+
+        connection.pendingTools.set(call.id, finish);
+        signal.addEventListener('abort', onAbort, { once: true });
+        scheduleConnectionTimeout(portId, TOOL_TIMEOUT);
+        connection.port.postMessage({ type: 'tool_call', id: call.id, name: call.name, input: call.input });
+    });
+}
+
+// (Re)arm the idle timeout for a port; streaming activity pushes it back,
+// and a rate-limit wait extends it by the length of the wait
+function scheduleConnectionTimeout(portId, extraMs = 0) {
+    const connection = activeConnections.get(portId);
+    if (!connection) return;
+
+    clearTimeout(connection.timeoutId);
+    connection.lastActivity = Date.now();
+    connection.idleGraceMs = extraMs;
+    connection.timeoutId = setTimeout(() => cleanupConnection(portId), PORT_TIMEOUT + extraMs);
+}
+
+// Drop a port and stop its request. A port we close ourselves gets a final
+// TIMEOUT answer first: the content script resends a request whose port
+// closed without one, which would pay for it twice.
+function cleanupConnection(portId, { notify = true } = {}) {
     const connection = activeConnections.get(portId);
     if (connection) {
         clearTimeout(connection.timeoutId);
+        // Stop any fetch still running for this port
+        connection.abortController.abort();
         try {
+            if (notify) {
+                connection.port.postMessage({
+                    type: 'done',
+                    ...new AIError(AIError.CODES.TIMEOUT, 'Request timed out').toResponse()
+                });
+            }
             connection.port.disconnect();
         } catch (e) {
-            console.debug('Port already disconnected:', e);
+            Logger.debug('Port already disconnected:', e);
         }
         activeConnections.delete(portId);
+        updateKeepAlive(activeConnections.size);
     }
 }
 
@@ -628,7 +1282,7 @@ async function injectContentScript(tabId) {
         });
 
         if (result?.result) {
-            console.log('Content script already running');
+            Logger.info('Content script already running');
             return true;
         }
 
@@ -636,28 +1290,33 @@ async function injectContentScript(tabId) {
         await chrome.scripting.executeScript({
             target: { tabId },
             files: [
+                'src/services/logger.js',
+                'src/services/request-envelope.js',
+                'src/services/ai-error.js',
+                'src/services/selection-actions.js',
                 'src/services/usage-tracker.js',
                 'src/services/memory-service.js',
                 'src/services/ai-service.js',
                 'src/services/voice-service.js',
                 'src/services/context-service.js',
                 'src/services/model-delegation-service.js',
+                'src/services/extraction-templates.js',
                 'src/content/hover-box.js',
                 'src/content/content.js'
             ]
         });
 
-        console.log('Scripts injected successfully');
+        Logger.info('Scripts injected successfully');
         return true;
     } catch (error) {
-        console.error('Script injection failed:', error);
+        Logger.error('Script injection failed:', error);
         return false;
     }
 }
 
 async function handleToggleSidebar(tabId) {
     try {
-        console.debug('Handling toggle sidebar for tab:', tabId);
+        Logger.debug('Handling toggle sidebar for tab:', tabId);
         
         const tab = await chrome.tabs.get(tabId);
         if (!tab) {
@@ -669,13 +1328,13 @@ async function handleToggleSidebar(tabId) {
         }
 
         // Inject scripts if needed
-        const needsInjection = !injectedTabs.has(tabId);
+        const needsInjection = !(await isTabInjected(tabId));
         if (needsInjection) {
             const injected = await injectContentScript(tabId);
             if (!injected) {
                 throw new Error('Failed to inject scripts');
             }
-            injectedTabs.add(tabId);
+            await markTabInjected(tabId);
         }
 
         // Send toggle message with retry and timeout
@@ -705,47 +1364,97 @@ async function handleToggleSidebar(tabId) {
                 
                 return true;
             } catch (error) {
-                console.warn(`Toggle attempt ${i + 1} failed:`, error);
+                Logger.warn(`Toggle attempt ${i + 1} failed:`, error);
                 if (i === maxRetries - 1) throw error;
                 await new Promise(resolve => setTimeout(resolve, Math.min(1000 * Math.pow(2, i), 8000)));
             }
         }
     } catch (error) {
-        console.error('Toggle sidebar failed:', error);
+        Logger.error('Toggle sidebar failed:', error);
         throw error;
     }
 }
 
-// Context menu setup
+// Context menu setup: "Ask about selection" with one entry per selection
+// action. Child ids are `selection:<actionId>`; `selection:ask` just pins the
+// selection and lets the user type or pick an action in the hover box.
+const SELECTION_MENU_ID = 'editWithAI';
+const SELECTION_MENU_PREFIX = 'selection:';
+
+// "Ask about image" on any <img>: the background fetches the image and the
+// hover box pins it to the next question
+const IMAGE_MENU_ID = 'askAboutImage';
+
 chrome.runtime.onInstalled.addListener(() => {
-    chrome.contextMenus.create({
-        id: 'editWithAI',
-        title: 'Ask about selection',
-        contexts: ['selection']
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: SELECTION_MENU_ID,
+            title: 'Ask about selection',
+            contexts: ['selection']
+        });
+        
+        chrome.contextMenus.create({
+            id: `${SELECTION_MENU_PREFIX}ask`,
+            parentId: SELECTION_MENU_ID,
+            title: 'Ask a question…',
+            contexts: ['selection']
+        });
+        
+        SelectionActions.ACTIONS.forEach(action => {
+            chrome.contextMenus.create({
+                id: `${SELECTION_MENU_PREFIX}${action.id}`,
+                parentId: SELECTION_MENU_ID,
+                title: action.label,
+                contexts: ['selection']
+            });
+        });
+        
+        chrome.contextMenus.create({
+            id: IMAGE_MENU_ID,
+            title: 'Ask about image',
+            contexts: ['image']
+        });
     });
 });
 
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === 'editWithAI') {
-        // First ensure scripts are injected
-        if (!injectedTabs.has(tab.id)) {
-            await injectContentScript(tab.id);
-            injectedTabs.add(tab.id);
-        }
-        
-        // Send selection to content script
+    const menuItemId = String(info.menuItemId);
+    if (menuItemId !== IMAGE_MENU_ID && !menuItemId.startsWith(SELECTION_MENU_PREFIX)) return;
+    
+    // First ensure scripts are injected
+    if (!(await isTabInjected(tab.id))) {
+        await injectContentScript(tab.id);
+        await markTabInjected(tab.id);
+    }
+    
+    if (menuItemId === IMAGE_MENU_ID) {
+        const result = await fetchImage(info.srcUrl);
         chrome.tabs.sendMessage(tab.id, {
-            action: 'processSelection',
-            selectedText: info.selectionText
+            action: 'processImage',
+            srcUrl: info.srcUrl,
+            image: result.image || null,
+            error: result.error || null
         }).catch(error => {
-            console.error('Error sending selection to content script:', error);
+            Logger.error('Error sending image to content script:', error);
         });
+        return;
     }
+    
+    const actionId = menuItemId.slice(SELECTION_MENU_PREFIX.length);
+    
+    // Send selection to content script
+    chrome.tabs.sendMessage(tab.id, {
+        action: 'processSelection',
+        selectedText: info.selectionText,
+        selectionAction: SelectionActions.get(actionId) ? actionId : null
+    }).catch(error => {
+        Logger.error('Error sending selection to content script:', error);
+    });
 });
 
 // Tab event handlers
 chrome.tabs.onRemoved.addListener((tabId) => {
-    injectedTabs.delete(tabId);
+    forgetTab(tabId);
     
     // Clean up any active connections for this tab
     for (const [portId, connection] of activeConnections.entries()) {
@@ -755,11 +1464,18 @@ chrome.tabs.onRemoved.addListener((tabId) => {
     }
 });
 
+// A navigation replaces the page and the scripts injected into it
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+        forgetTab(tabId);
+    }
+});
+
 // Connection cleanup interval
 setInterval(() => {
     const now = Date.now();
     for (const [portId, connection] of activeConnections.entries()) {
-        if (now - connection.startTime > 35000) { // 35 seconds
+        if (now - connection.lastActivity > 35000 + (connection.idleGraceMs || 0)) { // 35 seconds idle
             cleanupConnection(portId);
         }
     }
@@ -0,0 +1,34 @@
+// Capability handles for content scripts
+//
+// Content scripts never receive API keys. When one needs a key used outside
+// the request port (voice transcription), it asks for a handle: an opaque
+// random id bound to one scope and the tab that asked. The background checks
+// the handle and uses the key itself. Handles live in memory only, so a
+// restarted worker or a locked vault invalidates them and the content script
+// asks again.
+
+const HANDLE_TTL = 60 * 60 * 1000; // 1 hour
+
+// handle -> { scope, tabId, expires }
+const handles = new Map();
+
+export function issueHandle(scope, tabId = null) {
+    const now = Date.now();
+    for (const [id, entry] of handles) {
+        if (entry.expires <= now) handles.delete(id);
+    }
+
+    const id = crypto.randomUUID();
+    handles.set(id, { scope, tabId, expires: now + HANDLE_TTL });
+    return id;
+}
+
+export function checkHandle(id, scope, tabId = null) {
+    const entry = id && handles.get(id);
+    if (!entry || entry.expires <= Date.now()) return false;
+    return entry.scope === scope && entry.tabId === tabId;
+}
+
+export function revokeHandles() {
+    handles.clear();
+}
@@ -0,0 +1,75 @@
+// Per-provider circuit breaker
+//
+// Counts recent failures that suggest the provider itself is unhealthy
+// (overload, rate limiting, timeouts, unreachable host). Once a provider hits
+// FAILURE_THRESHOLD of them inside FAILURE_WINDOW_MS its circuit opens and the
+// failover chain skips it for COOLDOWN_MS. After the cooldown one request is
+// let through; a success closes the circuit, another failure re-opens it.
+//
+// State lives in memory only, so a restarted service worker starts closed.
+
+import '../services/logger.js';
+import '../services/ai-error.js';
+
+const FAILURE_THRESHOLD = 3;
+const FAILURE_WINDOW_MS = 60000;
+const COOLDOWN_MS = 60000;
+
+// Errors worth trying another provider for; AUTH or CONTENT_FILTER would
+// fail the same way everywhere or say nothing about provider health
+export const FAILOVER_CODES = new Set([
+    AIError.CODES.PROVIDER_5XX,
+    AIError.CODES.RATE_LIMIT,
+    AIError.CODES.TIMEOUT,
+    AIError.CODES.NETWORK
+]);
+
+const circuits = new Map();
+
+function getCircuit(providerId) {
+    if (!circuits.has(providerId)) {
+        circuits.set(providerId, { failures: [], openUntil: 0 });
+    }
+    return circuits.get(providerId);
+}
+
+export function isProviderHealthy(providerId) {
+    return Date.now() >= getCircuit(providerId).openUntil;
+}
+
+export function recordProviderSuccess(providerId) {
+    const circuit = getCircuit(providerId);
+    circuit.failures = [];
+    circuit.openUntil = 0;
+}
+
+export function recordProviderFailure(providerId, code) {
+    const now = Date.now();
+    const circuit = getCircuit(providerId);
+    // Half-open: the cooldown is over and this was the trial request
+    const trial = circuit.openUntil > 0 && now >= circuit.openUntil;
+
+    if (!FAILOVER_CODES.has(code)) {
+        // The provider answered, so the trial is used up
+        if (trial) circuit.openUntil = 0;
+        return;
+    }
+
+    circuit.failures = circuit.failures.filter(time => now - time < FAILURE_WINDOW_MS);
+    circuit.failures.push(now);
+
+    // A failed trial request re-opens immediately
+    if (trial || circuit.failures.length >= FAILURE_THRESHOLD) {
+        circuit.openUntil = now + COOLDOWN_MS;
+        Logger.warn(`Circuit open for ${providerId} until ${new Date(circuit.openUntil).toLocaleTimeString()}`);
+    }
+}
+
+export function getProviderHealth(providerId) {
+    const circuit = getCircuit(providerId);
+    return {
+        healthy: isProviderHealthy(providerId),
+        recentFailures: circuit.failures.length,
+        openUntil: circuit.openUntil || null
+    };
+}
@@ -0,0 +1,149 @@
+// JSON Schema checks for structured output
+//
+// Covers the subset of JSON Schema that extraction templates use: type (one
+// or a list), enum, const, properties, required, additionalProperties, items,
+// minItems/maxItems, minimum/maximum, minLength/maxLength, pattern and anyOf.
+// Unknown keywords are ignored rather than rejected, so schemas written for
+// a full validator still work; they are just checked less strictly.
+
+// Messages past this many are dropped; the model only needs a few to fix its answer
+const MAX_ERRORS = 20;
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+function check(value, schema, path, errors) {
+    if (errors.length >= MAX_ERRORS || !schema || typeof schema !== 'object') return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            check(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) {
+            errors.push(`${path}: does not match any of the allowed shapes`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern).test(value)) {
+                    errors.push(`${path}: does not match pattern ${schema.pattern}`);
+                }
+            } catch (error) {
+                // An invalid pattern in the schema can't be held against the answer
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: less than ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: greater than ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: fewer than ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push(`${path}: missing required property "${name}"`);
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                check(propertyValue, properties[name], `${path}.${name}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${name}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(propertyValue, schema.additionalProperties, `${path}.${name}`, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema. Returns a list of readable violations
+ * ("$.price: expected number, got string"), empty when the value matches.
+ */
+export function validateAgainstSchema(value, schema) {
+    const errors = [];
+    check(value, schema, '$', errors);
+    return errors;
+}
+
+/**
+ * Tool input and response_format schemas must describe an object. Other
+ * schemas (a table as an array of rows) are wrapped in { items: ... };
+ * unwrap() gets the caller's value back out.
+ */
+export function toObjectSchema(schema) {
+    if (schema?.type === 'object') {
+        return { schema, unwrap: value => value };
+    }
+    return {
+        schema: {
+            type: 'object',
+            properties: { items: schema },
+            required: ['items']
+        },
+        unwrap: value => value?.items
+    };
+}
+
+// A schema the user typed or saved: an object with a type or properties
+export function isUsableSchema(schema) {
+    return !!schema && typeof schema === 'object' && !Array.isArray(schema) &&
+        (typeof schema.type === 'string' || Array.isArray(schema.type) || typeof schema.properties === 'object');
+}
@@ -0,0 +1,237 @@
+// API key vault
+//
+// Keys are only ever held by the background worker. At rest they are one
+// AES-GCM blob (`keyVault` in chrome.storage.local) encrypted with a key
+// derived from the user's passphrase (PBKDF2-SHA-256). Unlocking decrypts
+// them into memory and into chrome.storage.session, which content scripts
+// can't read, so a restarted worker stays unlocked until the browser closes
+// or the user locks the vault again.
+//
+// The vault also keeps `configured`, the key names that have a key, in the
+// clear so providers can be listed as available while it is locked. Plaintext
+// keys an older version saved in chrome.storage.local, where content scripts
+// could read them, are moved to session storage when the extension updates
+// (migrateLegacyKeys). There they count as configured but stay locked
+// (unused) until the user sets a passphrase, which moves them into the vault.
+// If the browser closes first they are gone and have to be entered again.
+
+import '../services/logger.js';
+
+const VAULT_KEY = 'keyVault';
+const SESSION_KEY = 'unlockedVault';
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Plaintext keys written by earlier versions; moved to LEGACY_SESSION_KEY on update
+const LEGACY_STORAGE_KEYS = { claude: 'claudeKey', perplexity: 'perplexityKey', openai: 'openaiKey' };
+// Those keys until setupVault imports them
+const LEGACY_SESSION_KEY = 'legacyKeys';
+
+// { keys, rawKey, salt } while unlocked
+let unlocked = null;
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+        material,
+        256
+    );
+    return new Uint8Array(bits);
+}
+
+async function encrypt(keys, rawKey, salt) {
+    const cryptoKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        cryptoKey,
+        new TextEncoder().encode(JSON.stringify(keys))
+    );
+    return {
+        version: VAULT_VERSION,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        data: toBase64(data),
+        configured: Object.keys(keys)
+    };
+}
+
+// Keys with no value are dropped, so `configured` only lists real ones
+function cleanKeys(keys) {
+    const cleaned = {};
+    for (const [name, value] of Object.entries(keys || {})) {
+        const trimmed = typeof value === 'string' ? value.trim() : '';
+        if (trimmed) cleaned[name] = trimmed;
+    }
+    return cleaned;
+}
+
+async function loadVault() {
+    const result = await chrome.storage.local.get([VAULT_KEY]);
+    return result[VAULT_KEY] || null;
+}
+
+async function setUnlocked(keys, rawKey, salt) {
+    unlocked = { keys, rawKey, salt };
+    await chrome.storage.session.set({
+        [SESSION_KEY]: { keys, rawKey: toBase64(rawKey), salt: toBase64(salt) }
+    });
+}
+
+// A restarted worker picks the unlocked keys back up from session storage
+async function restoreSession() {
+    if (unlocked) return unlocked;
+    const result = await chrome.storage.session.get([SESSION_KEY]);
+    const session = result[SESSION_KEY];
+    if (session) {
+        unlocked = {
+            keys: session.keys,
+            rawKey: fromBase64(session.rawKey),
+            salt: fromBase64(session.salt)
+        };
+    }
+    return unlocked;
+}
+
+async function loadLegacyKeys() {
+    const result = await chrome.storage.session.get([LEGACY_SESSION_KEY]);
+    return result[LEGACY_SESSION_KEY] || {};
+}
+
+// Take plaintext keys out of local storage, keeping them for this browser session
+export async function migrateLegacyKeys() {
+    const stored = await chrome.storage.local.get(Object.values(LEGACY_STORAGE_KEYS));
+    const keys = {};
+    for (const [name, storageKey] of Object.entries(LEGACY_STORAGE_KEYS)) {
+        keys[name] = stored[storageKey];
+    }
+    const found = cleanKeys(keys);
+    if (Object.keys(found).length > 0 && !(await loadVault())) {
+        await chrome.storage.session.set({
+            [LEGACY_SESSION_KEY]: { ...(await loadLegacyKeys()), ...found }
+        });
+        Logger.info('Moved plaintext keys out of local storage for:', Object.keys(found).join(', '));
+    }
+    await chrome.storage.local.remove(Object.values(LEGACY_STORAGE_KEYS));
+}
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+// { initialized, locked, configured }: never the keys themselves
+export async function getVaultStatus() {
+    const vault = await loadVault();
+    const session = await restoreSession();
+    return {
+        initialized: !!vault,
+        locked: !session,
+        configured: vault ? vault.configured : Object.keys(await loadLegacyKeys())
+    };
+}
+
+// Keys of the unlocked vault, or null while it is locked
+export async function getUnlockedKeys() {
+    const session = await restoreSession();
+    return session ? session.keys : null;
+}
+
+/**
+ * Create the vault, importing any plaintext keys an older version left
+ * (keys passed in win), and leave it unlocked
+ */
+export async function setupVault(passphrase, keys = {}) {
+    checkPassphrase(passphrase);
+    if (await loadVault()) {
+        throw new Error('Keys are already protected by a passphrase');
+    }
+
+    const merged = { ...(await loadLegacyKeys()), ...cleanKeys(keys) };
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const rawKey = await deriveKey(passphrase, salt);
+
+    await chrome.storage.local.set({ [VAULT_KEY]: await encrypt(merged, rawKey, salt) });
+    await chrome.storage.session.remove(LEGACY_SESSION_KEY);
+    await setUnlocked(merged, rawKey, salt);
+    Logger.info('Key vault created for:', Object.keys(merged).join(', ') || 'no providers');
+    return getVaultStatus();
+}
+
+export async function unlockVault(passphrase) {
+    const vault = await loadVault();
+    if (!vault) {
+        throw new Error('No keys have been saved yet');
+    }
+
+    const salt = fromBase64(vault.salt);
+    const rawKey = await deriveKey(passphrase || '', salt);
+    let keys;
+    try {
+        const cryptoKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(vault.iv) },
+            cryptoKey,
+            fromBase64(vault.data)
+        );
+        keys = JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+        // AES-GCM authentication fails the same way for any wrong passphrase
+        throw new Error('Wrong passphrase');
+    }
+
+    await setUnlocked(keys, rawKey, salt);
+    return getVaultStatus();
+}
+
+export async function lockVault() {
+    unlocked = null;
+    await chrome.storage.session.remove(SESSION_KEY);
+    return getVaultStatus();
+}
+
+/**
+ * Add or replace keys in the unlocked vault; an empty value removes that
+ * provider's key
+ */
+export async function updateKeys(changes) {
+    const session = await restoreSession();
+    if (!session) {
+        throw new Error('Unlock your keys first');
+    }
+
+    const keys = { ...session.keys };
+    for (const [name, value] of Object.entries(changes || {})) {
+        const trimmed = typeof value === 'string' ? value.trim() : '';
+        if (trimmed) {
+            keys[name] = trimmed;
+        } else {
+            delete keys[name];
+        }
+    }
+
+    await chrome.storage.local.set({ [VAULT_KEY]: await encrypt(keys, session.rawKey, session.salt) });
+    await setUnlocked(keys, session.rawKey, session.salt);
+    return getVaultStatus();
+}
+
+// For a forgotten passphrase: the keys are gone and have to be entered again
+export async function resetVault() {
+    unlocked = null;
+    await chrome.storage.session.remove([SESSION_KEY, LEGACY_SESSION_KEY]);
+    await chrome.storage.local.remove([VAULT_KEY, ...Object.values(LEGACY_STORAGE_KEYS)]);
+    return getVaultStatus();
+}
@@ -0,0 +1,68 @@
+// Page tools the model can call while answering
+//
+// Definitions only: the tools run in the content script (ContextService
+// runTool), which the background reaches over the request's port. Schemas are
+// provider-neutral; each provider's buildRequest converts them to its own
+// tool format.
+
+// Model round trips per request before the model must answer in text
+export const MAX_TOOL_STEPS = 5;
+
+// How long a tool may take in the page before the step gets an error result
+export const TOOL_TIMEOUT = 10000;
+
+export const PAGE_TOOLS = [
+    {
+        name: 'get_page_section',
+        description: 'Get the full text of the section under a heading on the current page. Returns the list of headings when none matches.',
+        parameters: {
+            type: 'object',
+            properties: {
+                heading: { type: 'string', description: 'Heading text, or part of it, case-insensitive' }
+            },
+            required: ['heading']
+        }
+    },
+    {
+        name: 'find_in_page',
+        description: 'Search the visible text of the current page and return matching snippets with surrounding context.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text to search for, case-insensitive' },
+                max_results: { type: 'integer', description: 'Most snippets to return (default 5)' }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'scroll_to',
+        description: 'Scroll the page so the first element containing the given text is in view.',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text on the page to scroll to' }
+            },
+            required: ['text']
+        }
+    },
+    {
+        name: 'highlight_text',
+        description: 'Highlight every occurrence of the given text on the page so the user can see it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Exact text to highlight' }
+            },
+            required: ['text']
+        }
+    },
+    {
+        name: 'get_selected_text',
+        description: 'Get the text the user currently has selected on the page.',
+        parameters: {
+            type: 'object',
+            properties: {}
+        }
+    }
+];
@@ -0,0 +1,594 @@
+// Provider registry
+//
+// Each provider describes one chat API: where to send requests, how to
+// authenticate, how to build the request body and how to read text back out
+// of a full response or a single streaming event. The background worker only
+// talks to providers through this interface, so adding a provider means
+// registering one more object here.
+//
+// buildRequest receives the prompt, earlier turns and page context already
+// fitted to the context window (see token-budget.js), and the merged
+// settings (see settings.js). The caller's
+// system prompt and temperature from the request envelope, when set, take
+// precedence over the stored settings. promptText is the page context and
+// question combined; pageContext and question are also passed separately for
+// providers that place them differently (Claude caches the page context).
+//
+// parseResponseMeta(data) and parseStreamMeta(event) return
+// { stopReason, usage, citations } with usage as { inputTokens, outputTokens,
+// cacheReadTokens, cacheWriteTokens } and citations as [{ title, url }];
+// fields a response lacks are omitted. inputTokens is the whole prompt,
+// cached parts included, as OpenAI reports it (see usage-ledger.js).
+//
+// Tool calling (supportsTools: true): buildRequest also receives `tools`
+// (page-tools.js definitions), `toolChoice` ('auto' or 'none') and
+// `toolMessages`, the turns from earlier tool steps that follow the user
+// message. parseToolCalls(data) and parseStreamToolCalls(event, pending) read
+// the calls as [{ id, name, input }], and buildToolMessages({ text, toolCalls,
+// results }) produces the turns that send the results back.
+//
+// Images (supportsVision: true): buildRequest also receives `images` as
+// [{ mediaType, data }] with base64 data, sent with the user message. Other
+// providers never receive images; the failover chain skips them.
+//
+// Structured output: buildRequest receives `schema`, a JSON schema with an
+// object at the root, and asks for an answer in that shape. Chat completion
+// APIs use response_format and answer with JSON text; Claude is forced to
+// call a tool whose input is the schema, and parseStructuredOutput(data)
+// reads that input back.
+//
+// Budgeting: estimateTokens(text) approximates the provider's tokenizer,
+// defaultSettings.contextWindow is the window the request must fit in, and
+// historyTokenBudget caps how much of it earlier turns may take.
+//
+// Optional fields: requiresKey (false for keyless local servers),
+// defaultSettings, settingsSchema for provider-specific fields, and endpoint
+// may be a function of the settings.
+//
+// parseResponse and parseStreamEvent throw an AIError when the provider
+// reports an error or filtered the answer, so the UI can tell them apart.
+
+import '../services/ai-error.js';
+import { createTokenEstimator } from './token-budget.js';
+
+const providers = new Map();
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful AI assistant providing information about the current webpage.';
+
+// Tool Claude is forced to call in structured output mode
+const STRUCTURED_OUTPUT_TOOL = 'record_extraction';
+
+const REQUIRED_FIELDS = [
+    'id', 'label', 'keyName', 'endpoint',
+    'buildHeaders', 'buildRequest', 'parseResponse', 'parseStreamEvent'
+];
+
+export function registerProvider(provider) {
+    const missing = REQUIRED_FIELDS.filter(field => provider?.[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Provider is missing required fields: ${missing.join(', ')}`);
+    }
+
+    providers.set(provider.id.toLowerCase(), provider);
+    return provider;
+}
+
+export function getProvider(id) {
+    if (!id || typeof id !== 'string') return null;
+    return providers.get(id.toLowerCase()) || null;
+}
+
+export function listProviders() {
+    return Array.from(providers.values());
+}
+
+// Helpers shared by OpenAI-compatible chat completion APIs
+function bearerHeaders(key) {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${key}`
+    };
+}
+
+// Sampling parameters shared by every provider; null settings are omitted
+function samplingParams({ temperature, settings }) {
+    const params = {
+        temperature: temperature ?? settings.temperature,
+        max_tokens: settings.maxTokens
+    };
+    if (settings.topP !== null && settings.topP !== undefined) {
+        params.top_p = settings.topP;
+    }
+    return params;
+}
+
+// Text plus image_url parts when the message carries images
+function chatCompletionUserContent(text, images = []) {
+    if (images.length === 0) return text;
+    return [
+        { type: 'text', text },
+        ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mediaType};base64,${image.data}` }
+        }))
+    ];
+}
+
+function buildChatCompletionRequest({
+    promptText, history, system, temperature, stream, settings,
+    tools = null, toolChoice = 'auto', toolMessages = [], images = [], schema = null
+}) {
+    const request = {
+        model: settings.model,
+        messages: [{
+            role: 'system',
+            content: system || settings.systemPrompt || DEFAULT_SYSTEM_PROMPT
+        }, ...history, {
+            role: 'user',
+            content: chatCompletionUserContent(promptText, images)
+        }, ...toolMessages],
+        ...samplingParams({ temperature, settings }),
+        stream
+    };
+
+    if (tools) {
+        request.tools = tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+        request.tool_choice = toolChoice;
+    }
+    if (schema) {
+        request.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'extraction', schema }
+        };
+    }
+    return request;
+}
+
+// Arguments arrive as a JSON string; a model that sends broken JSON gets the
+// parse error back as the tool result instead of failing the request
+function parseToolArguments(json) {
+    try {
+        return json ? JSON.parse(json) : {};
+    } catch (error) {
+        return { _invalidArguments: json };
+    }
+}
+
+function parseChatCompletionToolCalls(data) {
+    const calls = data.choices?.[0]?.message?.tool_calls || [];
+    return calls.map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        input: parseToolArguments(call.function?.arguments)
+    }));
+}
+
+// Tool calls stream as fragments keyed by index: the first carries id and
+// name, later ones append to the arguments string
+function parseChatCompletionStreamToolCalls(event, pending) {
+    for (const fragment of event.choices?.[0]?.delta?.tool_calls || []) {
+        const call = pending.get(fragment.index) || { id: null, name: '', json: '' };
+        call.id = fragment.id || call.id;
+        call.name = fragment.function?.name || call.name;
+        call.json += fragment.function?.arguments || '';
+        pending.set(fragment.index, call);
+    }
+}
+
+function buildChatCompletionToolMessages({ text, toolCalls, results }) {
+    return [{
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input) }
+        }))
+    }, ...toolCalls.map((call, i) => ({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(results[i])
+    }))];
+}
+
+// Turn the pending map from parseStreamToolCalls into [{ id, name, input }]
+export function finishStreamToolCalls(pending) {
+    return Array.from(pending.values()).map(call => ({
+        id: call.id,
+        name: call.name,
+        input: parseToolArguments(call.json)
+    }));
+}
+
+function contentFilterError() {
+    return new AIError(AIError.CODES.CONTENT_FILTER, 'The response was blocked by the provider\'s content filter');
+}
+
+function parseChatCompletionResponse(data) {
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason === 'content_filter' && !choice.message?.content) {
+        throw contentFilterError();
+    }
+    return choice?.message?.content;
+}
+
+function normalizeChatCompletionUsage(usage) {
+    if (!usage) return undefined;
+    return {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens,
+        cacheReadTokens: usage.prompt_tokens_details?.cached_tokens
+    };
+}
+
+function parseChatCompletionResponseMeta(data) {
+    return {
+        stopReason: data.choices?.[0]?.finish_reason,
+        usage: normalizeChatCompletionUsage(data.usage)
+    };
+}
+
+function parseChatCompletionStreamMeta(event) {
+    return {
+        stopReason: event.choices?.[0]?.finish_reason || undefined,
+        usage: normalizeChatCompletionUsage(event.usage)
+    };
+}
+
+function parseChatCompletionStreamEvent(event) {
+    if (event.error) {
+        throw AIError.fromPayload(event.error);
+    }
+    const choice = event.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') {
+        throw contentFilterError();
+    }
+    return choice?.delta?.content || null;
+}
+
+// Anthropic's input_tokens leaves out the cache reads and writes
+function normalizeAnthropicUsage(usage) {
+    if (!usage) return undefined;
+    return {
+        inputTokens: usage.input_tokens === undefined ? undefined :
+            usage.input_tokens + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
+        outputTokens: usage.output_tokens,
+        cacheReadTokens: usage.cache_read_input_tokens,
+        cacheWriteTokens: usage.cache_creation_input_tokens
+    };
+}
+
+registerProvider({
+    id: 'claude',
+    label: 'Claude',
+    keyName: 'claude',
+    supportsTools: true,
+    supportsVision: true,
+    keyPattern: /^sk-/,
+    keyFormatHint: 'Should start with sk-ant- or sk-',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    historyTokenBudget: 8000,
+    // Claude's tokenizer splits English a little finer than OpenAI's
+    estimateTokens: createTokenEstimator({ charsPerToken: 3.5 }),
+    defaultSettings: {
+        model: 'claude-sonnet-4-5-20250929',
+        temperature: 0.7,
+        topP: null,
+        maxTokens: 4096,
+        contextWindow: 200000,
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        cacheResponses: true,
+        // Classifies queries for the Auto model
+        routerModel: 'claude-3-haiku-20240307'
+    },
+
+    buildHeaders(key) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01'
+        };
+
+        // New format keys use Bearer authentication, older ones use x-api-key
+        if (key.startsWith('sk-') && !key.startsWith('sk-ant-')) {
+            headers['Authorization'] = `Bearer ${key}`;
+        } else {
+            headers['x-api-key'] = key;
+        }
+        return headers;
+    },
+
+    buildRequest({
+        promptText, pageContext, question, history, system, temperature, stream, settings,
+        tools = null, toolChoice = 'auto', toolMessages = [], images = [], schema = null
+    }) {
+        const systemPrompt = system || settings.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+
+        // Images go ahead of the text, as Anthropic recommends
+        const userContent = text => images.length === 0 ? text : [
+            ...images.map(image => ({
+                type: 'image',
+                source: { type: 'base64', media_type: image.mediaType, data: image.data }
+            })),
+            { type: 'text', text }
+        ];
+
+        // The page content goes in its own cacheable system block: it is the
+        // same for every question on a page and sits ahead of the history,
+        // so follow-ups read it from the prompt cache
+        const request = pageContext ? {
+            model: settings.model,
+            messages: [...history, {
+                role: 'user',
+                content: userContent(question)
+            }, ...toolMessages],
+            ...samplingParams({ temperature, settings }),
+            system: [
+                { type: 'text', text: systemPrompt },
+                {
+                    type: 'text',
+                    text: `Webpage Content:\n${pageContext}`,
+                    cache_control: { type: 'ephemeral' }
+                }
+            ],
+            stream
+        } : {
+            model: settings.model,
+            messages: [...history, {
+                role: 'user',
+                content: userContent(promptText)
+            }, ...toolMessages],
+            ...samplingParams({ temperature, settings }),
+            system: systemPrompt,
+            stream
+        };
+
+        if (tools) {
+            request.tools = tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+            request.tool_choice = { type: toolChoice };
+        }
+        if (schema) {
+            request.tools = [{
+                name: STRUCTURED_OUTPUT_TOOL,
+                description: 'Record the data extracted from the page.',
+                input_schema: schema
+            }];
+            request.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+        }
+        return request;
+    },
+
+    parseStructuredOutput(data) {
+        const block = (data.content || []).find(block => block.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL);
+        return block ? block.input : undefined;
+    },
+
+    parseToolCalls(data) {
+        return (data.content || [])
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, input: block.input || {} }));
+    },
+
+    // tool_use blocks open with content_block_start and stream their input
+    // as input_json_delta fragments
+    parseStreamToolCalls(event, pending) {
+        if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+            pending.set(event.index, { id: event.content_block.id, name: event.content_block.name, json: '' });
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+            const call = pending.get(event.index);
+            if (call) {
+                call.json += event.delta.partial_json || '';
+            }
+        }
+    },
+
+    buildToolMessages({ text, toolCalls, results }) {
+        return [{
+            role: 'assistant',
+            content: [
+                ...(text ? [{ type: 'text', text }] : []),
+                ...toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+            ]
+        }, {
+            role: 'user',
+            content: toolCalls.map((call, i) => ({
+                type: 'tool_result',
+                tool_use_id: call.id,
+                content: JSON.stringify(results[i]),
+                is_error: !!results[i]?.error
+            }))
+        }];
+    },
+
+    parseResponseMeta(data) {
+        return {
+            stopReason: data.stop_reason,
+            usage: normalizeAnthropicUsage(data.usage)
+        };
+    },
+
+    // Input usage arrives in message_start, stop reason and output usage in message_delta
+    parseStreamMeta(event) {
+        if (event.type === 'message_start') {
+            return { usage: normalizeAnthropicUsage(event.message?.usage) };
+        }
+        if (event.type === 'message_delta') {
+            return {
+                stopReason: event.delta?.stop_reason,
+                usage: { outputTokens: event.usage?.output_tokens }
+            };
+        }
+        return {};
+    },
+
+    // Text blocks only; tool_use blocks are read by parseToolCalls
+    parseResponse(data) {
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        if (data.stop_reason === 'refusal' && !text) {
+            throw contentFilterError();
+        }
+        return text;
+    },
+
+    parseStreamEvent(event) {
+        if (event.type === 'error') {
+            throw AIError.fromPayload(event.error, 'claude');
+        }
+        if (event.type === 'message_delta' && event.delta?.stop_reason === 'refusal') {
+            throw contentFilterError();
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            return event.delta.text;
+        }
+        return null;
+    }
+});
+
+// Sonar models return `search_results` ([{ title, url, date }]) and the older
+// `citations` (plain URLs), numbered to match the [1], [2] markers in the text
+function parsePerplexityCitations(data) {
+    if (Array.isArray(data.search_results) && data.search_results.length > 0) {
+        return data.search_results
+            .filter(result => result?.url)
+            .map(result => ({ title: result.title || result.url, url: result.url }));
+    }
+    if (Array.isArray(data.citations) && data.citations.length > 0) {
+        return data.citations
+            .filter(url => typeof url === 'string')
+            .map(url => ({ title: url, url }));
+    }
+    return undefined;
+}
+
+registerProvider({
+    id: 'perplexity',
+    label: 'Perplexity',
+    keyName: 'perplexity',
+    keyPattern: /^pplx-/,
+    keyFormatHint: 'Should start with pplx-',
+    endpoint: 'https://api.perplexity.ai/chat/completions',
+    historyTokenBudget: 2000,
+    estimateTokens: createTokenEstimator({ charsPerToken: 4 }),
+    defaultSettings: {
+        model: 'sonar-pro',
+        temperature: 0.3,
+        topP: 0.9,
+        maxTokens: 4096,
+        contextWindow: 200000,
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        // Answers come from live search results, so a cached one goes stale
+        cacheResponses: false
+    },
+    buildHeaders: bearerHeaders,
+    buildRequest: buildChatCompletionRequest,
+    parseResponse: parseChatCompletionResponse,
+    parseStreamEvent: parseChatCompletionStreamEvent,
+
+    parseResponseMeta(data) {
+        return {
+            ...parseChatCompletionResponseMeta(data),
+            citations: parsePerplexityCitations(data)
+        };
+    },
+
+    // Every chunk repeats the citations; the last one seen wins
+    parseStreamMeta(event) {
+        return {
+            ...parseChatCompletionStreamMeta(event),
+            citations: parsePerplexityCitations(event)
+        };
+    }
+});
+
+registerProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    keyName: 'openai',
+    supportsTools: true,
+    supportsVision: true,
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    historyTokenBudget: 8000,
+    estimateTokens: createTokenEstimator({ charsPerToken: 4 }),
+    defaultSettings: {
+        model: 'gpt-4o',
+        temperature: 0.7,
+        topP: null,
+        maxTokens: 4000,
+        contextWindow: 128000,
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        cacheResponses: true,
+        routerModel: 'gpt-4o-mini'
+    },
+    buildHeaders: bearerHeaders,
+
+    // Streams only report usage, in a final chunk, when asked to
+    buildRequest(options) {
+        const request = buildChatCompletionRequest(options);
+        if (request.stream) {
+            request.stream_options = { include_usage: true };
+        }
+        return request;
+    },
+
+    parseResponse: parseChatCompletionResponse,
+    parseStreamEvent: parseChatCompletionStreamEvent,
+    parseResponseMeta: parseChatCompletionResponseMeta,
+    parseStreamMeta: parseChatCompletionStreamMeta,
+    parseToolCalls: parseChatCompletionToolCalls,
+    parseStreamToolCalls: parseChatCompletionStreamToolCalls,
+    buildToolMessages: buildChatCompletionToolMessages
+});
+
+// Any server exposing an OpenAI-compatible /v1/chat/completions route
+// (Ollama, LM Studio, llama.cpp, vLLM). The key is optional.
+registerProvider({
+    id: 'local',
+    label: 'Local',
+    keyName: 'local',
+    requiresKey: false,
+    historyTokenBudget: 4000,
+    // Local tokenizers vary; estimate on the high side
+    estimateTokens: createTokenEstimator({ charsPerToken: 3.5 }),
+    defaultSettings: {
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        temperature: 0.7,
+        topP: null,
+        maxTokens: 2000,
+        // Must match the server's num_ctx, which for Ollama is set per model
+        contextWindow: 8192,
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        cacheResponses: true
+    },
+    settingsSchema: {
+        baseUrl: { type: 'url', label: 'Base URL', required: true }
+    },
+
+    endpoint(settings) {
+        const baseUrl = settings.baseUrl.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+        return `${baseUrl}/v1/chat/completions`;
+    },
+
+    buildHeaders(key) {
+        return key ? bearerHeaders(key) : { 'Content-Type': 'application/json' };
+    },
+
+    buildRequest: buildChatCompletionRequest,
+    parseResponse: parseChatCompletionResponse,
+    parseStreamEvent: parseChatCompletionStreamEvent,
+    parseResponseMeta: parseChatCompletionResponseMeta,
+    parseStreamMeta: parseChatCompletionStreamMeta
+});
@@ -0,0 +1,173 @@
+// Per-provider rate limiting
+//
+// Providers say when they will accept more requests: `retry-after` on a 429,
+// and remaining/reset headers on every response (anthropic-ratelimit-* for
+// Anthropic, x-ratelimit-* for OpenAI and Perplexity). Those headers set a
+// "blocked until" time per provider. Requests for a blocked provider wait in
+// a FIFO queue instead of hitting the API again, and the caller hears how long
+// the wait is through onWait so the UI can show it.
+//
+// Waits longer than MAX_QUEUE_WAIT_MS are not queued; the request fails with
+// RATE_LIMIT so the failover chain can move on to another provider.
+
+import '../services/logger.js';
+import '../services/ai-error.js';
+
+export const MAX_QUEUE_WAIT_MS = AIError.MAX_RETRY_WAIT_MS;
+const MAX_CONCURRENT_REQUESTS = 2;
+
+const queues = new Map();
+
+function getQueue(providerId) {
+    if (!queues.has(providerId)) {
+        queues.set(providerId, { active: 0, waiting: [], blockedUntil: 0, timerId: null });
+    }
+    return queues.get(providerId);
+}
+
+// "30", "1.5" (seconds) or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// OpenAI reset durations look like "20ms", "1s", "6m0s" or "1h2m3.5s"
+function parseResetDuration(value) {
+    if (!value) return null;
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+    if (!parts) return null;
+
+    const unitMs = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    return parts.reduce((total, part) => {
+        const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+        return total + Number(amount) * unitMs[unit];
+    }, 0);
+}
+
+// Anthropic reset values are RFC 3339 timestamps
+function parseResetTimestamp(value) {
+    if (!value) return null;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseCount(value) {
+    const count = Number(value);
+    return value === null || value === undefined || Number.isNaN(count) ? null : count;
+}
+
+/**
+ * Read rate-limit headers into { retryAfterMs, remainingRequests, resetMs }.
+ * resetMs is when the exhausted budget (requests or tokens) refills.
+ */
+export function parseRateLimitHeaders(headers) {
+    const get = name => headers?.get?.(name) ?? null;
+
+    const retryAfterMs = get('retry-after-ms') !== null ?
+        parseCount(get('retry-after-ms')) :
+        parseRetryAfter(get('retry-after'));
+
+    const remainingRequests = parseCount(
+        get('anthropic-ratelimit-requests-remaining') ?? get('x-ratelimit-remaining-requests')
+    );
+    const remainingTokens = parseCount(
+        get('anthropic-ratelimit-tokens-remaining') ?? get('x-ratelimit-remaining-tokens')
+    );
+
+    let resetMs = null;
+    if (remainingRequests === 0) {
+        resetMs = parseResetTimestamp(get('anthropic-ratelimit-requests-reset')) ??
+            parseResetDuration(get('x-ratelimit-reset-requests'));
+    } else if (remainingTokens === 0) {
+        resetMs = parseResetTimestamp(get('anthropic-ratelimit-tokens-reset')) ??
+            parseResetDuration(get('x-ratelimit-reset-tokens'));
+    }
+
+    return { retryAfterMs, remainingRequests, resetMs };
+}
+
+/**
+ * Update a provider's block from a response. Returns the wait in ms the
+ * provider asked for, or null when it isn't limiting us.
+ */
+export function noteRateLimit(providerId, headers, status) {
+    const { retryAfterMs, resetMs } = parseRateLimitHeaders(headers);
+    const waitMs = retryAfterMs ?? resetMs ?? (status === 429 ? 1000 : null);
+    if (waitMs === null) return null;
+
+    const queue = getQueue(providerId);
+    queue.blockedUntil = Math.max(queue.blockedUntil, Date.now() + waitMs);
+    Logger.warn(`${providerId} rate limited for ${Math.ceil(waitMs / 1000)}s`);
+    return waitMs;
+}
+
+export function getProviderWait(providerId) {
+    return Math.max(0, getQueue(providerId).blockedUntil - Date.now());
+}
+
+function pump(providerId) {
+    const queue = getQueue(providerId);
+    const waitMs = getProviderWait(providerId);
+
+    if (waitMs > 0) {
+        if (!queue.timerId && queue.waiting.length > 0) {
+            queue.timerId = setTimeout(() => {
+                queue.timerId = null;
+                pump(providerId);
+            }, waitMs);
+        }
+        return;
+    }
+
+    while (queue.active < MAX_CONCURRENT_REQUESTS && queue.waiting.length > 0) {
+        queue.active++;
+        queue.waiting.shift().start();
+    }
+}
+
+/**
+ * Run task() once the provider accepts requests again. onWait(ms) is called
+ * when the request has to wait; aborting the signal drops it from the queue.
+ */
+export function runQueued(providerId, task, { signal = null, onWait = null } = {}) {
+    const queue = getQueue(providerId);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            queue.waiting = queue.waiting.filter(entry => entry !== waiter);
+            const error = new Error('Request cancelled');
+            error.name = 'AbortError';
+            reject(error);
+        };
+
+        const waiter = {
+            start() {
+                signal?.removeEventListener('abort', onAbort);
+                Promise.resolve()
+                    .then(task)
+                    .then(resolve, reject)
+                    .finally(() => {
+                        queue.active--;
+                        pump(providerId);
+                    });
+            }
+        };
+
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.waiting.push(waiter);
+
+        const waitMs = getProviderWait(providerId);
+        if (waitMs > 0 && onWait) {
+            onWait(waitMs);
+        }
+        pump(providerId);
+    });
+}
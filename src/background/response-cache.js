@@ -0,0 +1,134 @@
+// Response cache
+//
+// Asking the same question about the same page again shouldn't pay for a
+// second answer. Answers are stored in chrome.storage.local under a SHA-256
+// of what decides them: the provider and its model ID, the prompt (trimmed,
+// whitespace collapsed, lowercased), a hash of the page text ContextService
+// captured, the conversation that led up to the question, and any system
+// prompt, temperature, schema or images. The conversation counts only up to
+// the first time the same prompt was asked in it, so asking again still hits
+// while a follow-up in a different conversation doesn't. The hover box's
+// Regenerate button asks again without the cache (envelope `cache: false`).
+//
+// Entries expire after CACHE_TTL. Past MAX_ENTRIES or MAX_BYTES the least
+// recently used go first. Providers opt out with the cacheResponses setting;
+// Perplexity does by default since it answers from live search results.
+
+import '../services/logger.js';
+
+const STORAGE_KEY = 'responseCache';
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 200;
+// chrome.storage.local holds 10 MB without unlimitedStorage
+const MAX_BYTES = 2 * 1024 * 1024;
+
+// key -> { response, createdAt, lastUsed, bytes }
+let entries = new Map();
+
+const ready = (async () => {
+    try {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        entries = new Map(Object.entries(stored[STORAGE_KEY] || {}));
+        dropExpired();
+    } catch (error) {
+        Logger.error('Failed to load the response cache:', error);
+    }
+})();
+
+function dropExpired() {
+    const cutoff = Date.now() - CACHE_TTL;
+    for (const [key, entry] of entries) {
+        if (entry.createdAt <= cutoff) entries.delete(key);
+    }
+}
+
+function save() {
+    return chrome.storage.local.set({ [STORAGE_KEY]: Object.fromEntries(entries) });
+}
+
+async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizePrompt(prompt) {
+    return String(prompt || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Turns before the first time `prompt` was asked in this conversation
+function historyBefore(history, prompt) {
+    const first = history.findIndex(turn => turn.role === 'user' && normalizePrompt(turn.content) === prompt);
+    return (first === -1 ? history : history.slice(0, first)).map(turn => [turn.role, turn.content]);
+}
+
+/**
+ * The cache key for a normalized request envelope to `provider`, or null
+ * when the provider's settings opt out of caching
+ */
+export async function responseCacheKey(provider, settings, message) {
+    if (settings.cacheResponses === false) return null;
+
+    const pageHash = await sha256(message.context?.contextString || '');
+    const prompt = normalizePrompt(message.prompt);
+    return sha256(JSON.stringify([
+        provider.id,
+        settings.model || null,
+        prompt,
+        pageHash,
+        historyBefore(message.history, prompt),
+        message.system,
+        message.temperature,
+        message.schema,
+        message.images.map(image => image.data)
+    ]));
+}
+
+// The stored response and when it was answered, or null
+export async function getCachedResponse(key) {
+    await ready;
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.createdAt <= Date.now() - CACHE_TTL) {
+        entries.delete(key);
+        await save();
+        return null;
+    }
+
+    entry.lastUsed = Date.now();
+    await save();
+    return { response: entry.response, createdAt: entry.createdAt };
+}
+
+// Only successful answers belong here; the caller checks
+export async function cacheResponse(key, response) {
+    await ready;
+    const bytes = JSON.stringify(response).length;
+    if (bytes > MAX_BYTES) return;
+
+    const now = Date.now();
+    entries.set(key, { response, createdAt: now, lastUsed: now, bytes });
+    dropExpired();
+
+    let total = [...entries.values()].reduce((sum, entry) => sum + entry.bytes, 0);
+    const byAge = [...entries].sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    while (entries.size > MAX_ENTRIES || total > MAX_BYTES) {
+        const [oldestKey, oldest] = byAge.shift();
+        entries.delete(oldestKey);
+        total -= oldest.bytes;
+    }
+
+    try {
+        await save();
+    } catch (error) {
+        // Storage full: the answer was still delivered, so just start over
+        Logger.warn('Failed to save the response cache, clearing it:', error);
+        await clearResponseCache();
+    }
+}
+
+export async function clearResponseCache() {
+    await ready;
+    entries.clear();
+    await chrome.storage.local.remove(STORAGE_KEY);
+}
@@ -0,0 +1,144 @@
+// Per-provider generation settings
+//
+// Stored in chrome.storage.local under `providerSettings`, keyed by provider
+// id. Only values the user changed are stored; everything else falls back to
+// the provider's defaultSettings. The popup renders its form from
+// PROVIDER_SETTINGS_SCHEMA (plus any provider-specific settingsSchema), and
+// the background reads the merged settings on every request.
+
+const STORAGE_KEY = 'providerSettings';
+
+export const PROVIDER_SETTINGS_SCHEMA = {
+    model: { type: 'string', label: 'Model ID', required: true },
+    temperature: { type: 'number', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+    topP: { type: 'number', label: 'Top P', min: 0, max: 1, step: 0.05, optional: true },
+    maxTokens: { type: 'integer', label: 'Max tokens', min: 1, max: 200000 },
+    contextWindow: { type: 'integer', label: 'Context window (tokens)', min: 1024, max: 2000000 },
+    systemPrompt: { type: 'text', label: 'System prompt' },
+    cacheResponses: { type: 'boolean', label: 'Reuse answers to repeated questions' },
+    // Cleared, the provider isn't used to route Auto queries
+    routerModel: { type: 'string', label: 'Router model ID', optional: true }
+};
+
+export function getSettingsSchema(provider) {
+    return {
+        ...PROVIDER_SETTINGS_SCHEMA,
+        ...(provider.settingsSchema || {})
+    };
+}
+
+async function readStoredSettings() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || {};
+}
+
+export async function getStoredProviderSettings(providerId) {
+    const stored = await readStoredSettings();
+    return stored[providerId] || {};
+}
+
+// Provider defaults merged with whatever the user saved from the popup
+export async function loadProviderSettings(provider) {
+    return {
+        ...(provider.defaultSettings || {}),
+        ...(await getStoredProviderSettings(provider.id))
+    };
+}
+
+// Coerce form values against the schema; returns { settings, errors }
+export function validateProviderSettings(provider, values = {}) {
+    const schema = getSettingsSchema(provider);
+    const settings = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = values[field];
+        const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+
+        if (isEmpty) {
+            if (rule.required) {
+                errors.push(`${rule.label} is required`);
+            } else if (rule.optional) {
+                // Explicitly cleared: omit the parameter from requests
+                settings[field] = null;
+            }
+            continue;
+        }
+
+        if (rule.type === 'number' || rule.type === 'integer') {
+            const value = Number(raw);
+            if (Number.isNaN(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${rule.label} must be a${rule.type === 'integer' ? 'n integer' : ' number'}`);
+                continue;
+            }
+            if (value < rule.min || value > rule.max) {
+                errors.push(`${rule.label} must be between ${rule.min} and ${rule.max}`);
+                continue;
+            }
+            settings[field] = value;
+        } else if (rule.type === 'boolean') {
+            settings[field] = raw === true || raw === 'true';
+        } else if (rule.type === 'url') {
+            const value = String(raw).trim();
+            if (!/^https?:\/\//.test(value)) {
+                errors.push(`${rule.label} must start with http:// or https://`);
+                continue;
+            }
+            settings[field] = value;
+        } else {
+            settings[field] = String(raw).trim();
+        }
+    }
+
+    return { settings, errors };
+}
+
+export async function saveProviderSettings(provider, values) {
+    const { settings, errors } = validateProviderSettings(provider, values);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    const stored = await readStoredSettings();
+    stored[provider.id] = settings;
+    await chrome.storage.local.set({ [STORAGE_KEY]: stored });
+
+    return { success: true, settings };
+}
+
+export async function resetProviderSettings(provider) {
+    const stored = await readStoredSettings();
+    delete stored[provider.id];
+    await chrome.storage.local.set({ [STORAGE_KEY]: stored });
+    return { success: true, settings: { ...(provider.defaultSettings || {}) } };
+}
+
+// Failover order
+//
+// Provider ids tried, in order, after the requested provider fails with an
+// error another provider might not share (see circuit-breaker.js). Providers
+// without a key or endpoint are skipped. An empty list disables failover.
+
+const FAILOVER_STORAGE_KEY = 'failoverOrder';
+
+export const DEFAULT_FAILOVER_ORDER = ['claude', 'openai', 'local'];
+
+export async function loadFailoverOrder() {
+    const result = await chrome.storage.local.get(FAILOVER_STORAGE_KEY);
+    return Array.isArray(result[FAILOVER_STORAGE_KEY]) ? result[FAILOVER_STORAGE_KEY] : DEFAULT_FAILOVER_ORDER;
+}
+
+export async function saveFailoverOrder(order, knownIds) {
+    const ids = (Array.isArray(order) ? order : String(order || '').split(','))
+        .map(id => String(id).trim().toLowerCase())
+        .filter(Boolean);
+
+    const unknown = ids.filter(id => !knownIds.includes(id));
+    if (unknown.length > 0) {
+        return { success: false, errors: [`Unknown provider in failover order: ${unknown.join(', ')}`] };
+    }
+
+    const unique = [...new Set(ids)];
+    await chrome.storage.local.set({ [FAILOVER_STORAGE_KEY]: unique });
+    return { success: true, order: unique };
+}
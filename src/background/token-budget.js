@@ -0,0 +1,183 @@
+// Token estimates and context-window budgets
+//
+// Provider tokenizers aren't available in the browser, so each provider
+// declares an estimator (createTokenEstimator) tuned to its tokenizer's
+// average characters per token. Estimates round up, so a request planned to
+// fit its window doesn't overflow it.
+//
+// planContext() fits one request into the provider's context window
+// (settings.contextWindow). The answer's max tokens are reserved first, then
+// everything that is always sent: system prompt, question, and the caller's
+// reserve for images, tool definitions or a schema. The page context and
+// earlier turns share what is left. Lowest priority goes first:
+//   1. turns past the provider's historyTokenBudget, oldest first
+//   2. older turns, down to the latest one, while the page doesn't fit
+//   3. page text, condensed to the passages closest to the question
+//   4. the latest turn, when the page would otherwise get almost nothing
+
+// CJK characters are about one token each in every tokenizer we target
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// Role markers and separators each chat message adds
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// For a provider that doesn't declare its window
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Kept back from every window for estimation error
+const SAFETY_MARGIN = 0.05;
+
+// Below this the page isn't worth sending; the latest turn is dropped instead
+const MIN_PAGE_TOKENS = 500;
+
+// Share of a condensed page given to its opening (title, lead paragraph)
+const OPENING_SHARE = 0.25;
+
+// Sentences longer than this are split so condensing can pick parts of them
+const MAX_PASSAGE_CHARS = 400;
+
+export const CONDENSED_MARKER = ' […] ';
+
+export function createTokenEstimator({ charsPerToken = 4 } = {}) {
+    return (text) => {
+        if (!text) return 0;
+        const value = String(text);
+        const cjk = (value.match(CJK_PATTERN) || []).length;
+        return Math.ceil((value.length - cjk) / charsPerToken + cjk);
+    };
+}
+
+const defaultEstimator = createTokenEstimator();
+
+export function estimateTokens(provider, text) {
+    return (provider.estimateTokens || defaultEstimator)(text);
+}
+
+function estimateMessages(provider, messages) {
+    return messages.reduce((total, message) => {
+        const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+        return total + estimateTokens(provider, content) + MESSAGE_OVERHEAD_TOKENS;
+    }, 0);
+}
+
+function splitPassages(text) {
+    const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [text];
+    return sentences.flatMap(sentence => {
+        if (sentence.length <= MAX_PASSAGE_CHARS) return [sentence];
+        const parts = [];
+        for (let i = 0; i < sentence.length; i += MAX_PASSAGE_CHARS) {
+            parts.push(sentence.slice(i, i + MAX_PASSAGE_CHARS));
+        }
+        return parts;
+    });
+}
+
+/**
+ * Shorten text to about maxTokens: the opening, then the passages sharing
+ * the most words with the question, in page order. Gaps are marked with
+ * CONDENSED_MARKER so the model knows text was left out.
+ */
+export function condenseText(provider, text, question, maxTokens) {
+    if (estimateTokens(provider, text) <= maxTokens) return text;
+    if (maxTokens <= 0) return '';
+
+    const passages = splitPassages(text);
+    const cost = passages.map(passage => estimateTokens(provider, passage));
+    const markerCost = estimateTokens(provider, CONDENSED_MARKER);
+    const keep = new Set();
+    let used = 0;
+
+    // The opening says what the page is
+    for (let i = 0; i < passages.length && used + cost[i] <= maxTokens * OPENING_SHARE; i++) {
+        keep.add(i);
+        used += cost[i];
+    }
+
+    const words = new Set(String(question || '').toLowerCase().split(/\W+/).filter(word => word.length > 3));
+    const ranked = passages
+        .map((passage, index) => ({
+            index,
+            score: passage.toLowerCase().split(/\W+/).filter(word => words.has(word)).length
+        }))
+        .filter(({ index }) => !keep.has(index))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    for (const { index } of ranked) {
+        const extra = cost[index] + markerCost;
+        if (used + extra > maxTokens) continue;
+        keep.add(index);
+        used += extra;
+    }
+
+    let result = '';
+    let previous = -1;
+    for (const index of [...keep].sort((a, b) => a - b)) {
+        if (index !== previous + 1) result += CONDENSED_MARKER;
+        result += passages[index];
+        previous = index;
+    }
+    if (previous !== passages.length - 1) result += CONDENSED_MARKER;
+    return result.trim();
+}
+
+/**
+ * Fit a request into the provider's context window. history is a list of
+ * user/assistant pairs, oldest first. Returns the pageContext and history to
+ * send plus a `budget` summary for the routing trace.
+ */
+export function planContext(provider, settings, {
+    system = '',
+    question = '',
+    pageContext = null,
+    history = [],
+    reservedTokens = 0
+}) {
+    const contextWindow = settings.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const outputTokens = Math.min(settings.maxTokens || 0, Math.floor(contextWindow / 2));
+    const fixedTokens = estimateTokens(provider, system) + estimateTokens(provider, question) +
+        2 * MESSAGE_OVERHEAD_TOKENS + reservedTokens;
+    const available = Math.max(0,
+        Math.floor(contextWindow * (1 - SAFETY_MARGIN)) - outputTokens - fixedTokens);
+
+    // 1. The provider's own cap on history, newest turns first
+    const pairs = [];
+    for (let i = history.length - 2; i >= 0; i -= 2) {
+        pairs.unshift(history.slice(i, i + 2));
+    }
+    const historyCap = Math.min(provider.historyTokenBudget ?? available, available);
+    const pairTokens = pairs.map(pair => estimateMessages(provider, pair));
+    let kept = 0;
+    let historyTokens = 0;
+    for (let i = pairs.length - 1; i >= 0 && historyTokens + pairTokens[i] <= historyCap; i--) {
+        kept++;
+        historyTokens += pairTokens[i];
+    }
+
+    // 2 and 4. Older turns make room for the page
+    const pageTokens = estimateTokens(provider, pageContext);
+    while (kept > 1 && historyTokens + pageTokens > available) {
+        kept--;
+        historyTokens -= pairTokens[pairs.length - kept - 1];
+    }
+    if (kept === 1 && pageContext && available - historyTokens < Math.min(pageTokens, MIN_PAGE_TOKENS)) {
+        kept = 0;
+        historyTokens = 0;
+    }
+
+    // 3. Whatever the page still doesn't fit is condensed
+    const pageBudget = available - historyTokens;
+    const plannedPage = pageContext ? condenseText(provider, pageContext, question, pageBudget) : pageContext;
+
+    return {
+        pageContext: plannedPage || null,
+        history: pairs.slice(pairs.length - kept).flat(),
+        budget: {
+            contextWindow,
+            outputTokens,
+            inputTokens: fixedTokens + historyTokens + estimateTokens(provider, plannedPage),
+            historyTurnsDropped: pairs.length - kept,
+            pageTokens,
+            pageTokensSent: estimateTokens(provider, plannedPage)
+        }
+    };
+}
@@ -0,0 +1,238 @@
+// Spend accounting
+//
+// Each answer's token counts (the provider's usage fields, normalized by
+// providers.js) are priced against the price table and added to
+// `usageLedger` in chrome.storage.local, grouped by local day, provider and
+// the domain of the page the question was asked on:
+//   { '2024-05-01': { claude: { 'example.com': { requests, inputTokens, ... } } } }
+// Days past LEDGER_DAYS are dropped. Answers from the response cache cost
+// nothing and aren't recorded.
+//
+// Prices are USD per million tokens, keyed by model ID. A model without an
+// entry of its own uses the longest ID prefix in the table, then its
+// provider's id ('local'). Requests that match nothing still count tokens
+// and are reported as unpriced. Perplexity's per-request search fees are not
+// included.
+
+import '../services/logger.js';
+
+const LEDGER_KEY = 'usageLedger';
+const PRICE_TABLE_KEY = 'priceTable';
+const LEDGER_DAYS = 90;
+const TOP_DOMAINS = 10;
+const NO_DOMAIN = '(no page)';
+
+export const DEFAULT_PRICES = {
+    'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-sonnet-4-5': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+    'sonar': { input: 1, output: 1 },
+    'sonar-pro': { input: 3, output: 15 },
+    'local': { input: 0, output: 0 }
+};
+
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+// day -> provider -> domain -> totals
+let ledger = {};
+
+const ready = (async () => {
+    try {
+        const stored = await chrome.storage.local.get(LEDGER_KEY);
+        ledger = stored[LEDGER_KEY] || {};
+    } catch (error) {
+        Logger.error('Failed to load the usage ledger:', error);
+    }
+})();
+
+function dayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function domainOf(url) {
+    try {
+        return url ? new URL(url).hostname || NO_DOMAIN : NO_DOMAIN;
+    } catch (error) {
+        return NO_DOMAIN;
+    }
+}
+
+export async function loadPriceTable() {
+    const stored = await chrome.storage.local.get(PRICE_TABLE_KEY);
+    return stored[PRICE_TABLE_KEY] || DEFAULT_PRICES;
+}
+
+// Check a table edited in the popup; returns { success, prices } or { success, errors }
+export async function savePriceTable(table) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        return { success: false, errors: ['The price table must be an object keyed by model ID'] };
+    }
+
+    const errors = [];
+    const prices = {};
+    for (const [model, price] of Object.entries(table)) {
+        if (!price || typeof price !== 'object') {
+            errors.push(`${model}: expected { input, output } prices`);
+            continue;
+        }
+        prices[model] = {};
+        for (const field of PRICE_FIELDS) {
+            const value = price[field];
+            if (value === undefined) continue;
+            if (typeof value !== 'number' || value < 0) {
+                errors.push(`${model}: ${field} must be a number of dollars per million tokens`);
+                continue;
+            }
+            prices[model][field] = value;
+        }
+        if (prices[model].input === undefined || prices[model].output === undefined) {
+            errors.push(`${model}: input and output prices are required`);
+        }
+    }
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await chrome.storage.local.set({ [PRICE_TABLE_KEY]: prices });
+    return { success: true, prices };
+}
+
+export async function resetPriceTable() {
+    await chrome.storage.local.remove(PRICE_TABLE_KEY);
+    return { success: true, prices: DEFAULT_PRICES };
+}
+
+function findPrice(table, providerId, model) {
+    if (model && table[model]) return table[model];
+
+    const prefix = Object.keys(table)
+        .filter(id => model?.startsWith(id))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? table[prefix] : table[providerId] || null;
+}
+
+// USD for one request, or null when the model has no price. inputTokens
+// includes the cached parts, which are billed at their own rates when the
+// table has them.
+function priceUsage(price, usage) {
+    if (!price) return null;
+
+    const cacheRead = price.cacheRead !== undefined ? usage.cacheReadTokens || 0 : 0;
+    const cacheWrite = price.cacheWrite !== undefined ? usage.cacheWriteTokens || 0 : 0;
+    const uncached = Math.max(0, (usage.inputTokens || 0) - cacheRead - cacheWrite);
+    return (uncached * price.input +
+        cacheRead * (price.cacheRead || 0) +
+        cacheWrite * (price.cacheWrite || 0) +
+        (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+function emptyTotals() {
+    return { requests: 0, unpriced: 0, cost: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+function addTotals(total, entry) {
+    total.requests += entry.requests;
+    total.unpriced += entry.unpriced;
+    total.cost += entry.cost;
+    for (const field of TOKEN_FIELDS) {
+        total[field] += entry[field] || 0;
+    }
+    return total;
+}
+
+function dropOldDays() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - LEDGER_DAYS);
+    const oldest = dayKey(cutoff);
+    for (const day of Object.keys(ledger)) {
+        if (day < oldest) delete ledger[day];
+    }
+}
+
+/**
+ * Price one answered request and add it to today's totals. Returns its cost
+ * in USD, or null when the model has no price.
+ */
+export async function recordUsage({ providerId, model, usage, domain = null }) {
+    await ready;
+    if (!usage) return null;
+
+    const cost = priceUsage(findPrice(await loadPriceTable(), providerId, model), usage);
+
+    const day = dayKey();
+    ledger[day] = ledger[day] || {};
+    ledger[day][providerId] = ledger[day][providerId] || {};
+    const site = domain || NO_DOMAIN;
+    const totals = ledger[day][providerId][site] || emptyTotals();
+    ledger[day][providerId][site] = addTotals(totals, {
+        ...usage,
+        requests: 1,
+        unpriced: cost === null ? 1 : 0,
+        cost: cost || 0
+    });
+    dropOldDays();
+
+    try {
+        await chrome.storage.local.set({ [LEDGER_KEY]: ledger });
+    } catch (error) {
+        Logger.warn('Failed to save the usage ledger:', error);
+    }
+    return cost;
+}
+
+/**
+ * Totals over the last `days` days (today included): overall, per day,
+ * per provider and for the domains that cost the most
+ */
+export async function getSpendSummary(days = 30) {
+    await ready;
+
+    const since = new Date();
+    since.setDate(since.getDate() - (days - 1));
+    const first = dayKey(since);
+
+    const total = emptyTotals();
+    const byDay = {};
+    const byProvider = {};
+    const byDomain = {};
+    for (const [day, providers] of Object.entries(ledger)) {
+        if (day < first) continue;
+        for (const [providerId, domains] of Object.entries(providers)) {
+            for (const [domain, entry] of Object.entries(domains)) {
+                addTotals(total, entry);
+                addTotals(byDay[day] = byDay[day] || emptyTotals(), entry);
+                addTotals(byProvider[providerId] = byProvider[providerId] || emptyTotals(), entry);
+                addTotals(byDomain[domain] = byDomain[domain] || emptyTotals(), entry);
+            }
+        }
+    }
+
+    const sorted = (groups, key) => Object.entries(groups)
+        .map(([id, totals]) => ({ [key]: id, ...totals }))
+        .sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+
+    return {
+        days,
+        total,
+        today: byDay[dayKey()] || emptyTotals(),
+        byDay: Object.entries(byDay)
+            .map(([day, totals]) => ({ day, ...totals }))
+            .sort((a, b) => a.day.localeCompare(b.day)),
+        byProvider: sorted(byProvider, 'provider'),
+        byDomain: sorted(byDomain, 'domain').slice(0, TOP_DOMAINS)
+    };
+}
+
+export async function clearUsageLedger() {
+    await ready;
+    ledger = {};
+    await chrome.storage.local.remove(LEDGER_KEY);
+}
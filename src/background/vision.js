@@ -0,0 +1,79 @@
+// Images for multimodal providers
+//
+// Screenshots come from chrome.tabs.captureVisibleTab, which only the
+// background can call. Right-clicked images are fetched here too, where the
+// extension's host permissions get around the page's CORS rules. Both resolve
+// to { success: true, image: { mediaType, data } } with base64 data, the shape
+// RequestEnvelope carries in `images`.
+
+import '../services/logger.js';
+
+// Anthropic's per-image limit; OpenAI accepts more
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const FETCH_TIMEOUT = 10000;
+
+function dataUrlToImage(dataUrl) {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+    return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function bytesToBase64(bytes) {
+    // btoa takes a binary string; build it in chunks to stay under the
+    // argument limit of String.fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// JPEG keeps full-page screenshots well under MAX_IMAGE_BYTES
+export async function captureScreenshot(windowId) {
+    try {
+        const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 80 });
+        const image = dataUrlToImage(dataUrl);
+        if (!image) {
+            return { success: false, error: 'Screenshot returned no image' };
+        }
+        return { success: true, image };
+    } catch (error) {
+        Logger.error('Screenshot failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export async function fetchImage(url) {
+    if (!url) {
+        return { success: false, error: 'No image URL' };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            return { success: false, error: `Image request failed (HTTP ${response.status})` };
+        }
+
+        const blob = await response.blob();
+        const mediaType = blob.type.split(';')[0].trim().toLowerCase();
+        if (!SUPPORTED_TYPES.includes(mediaType)) {
+            return { success: false, error: `Unsupported image type: ${mediaType || 'unknown'}` };
+        }
+        if (blob.size > MAX_IMAGE_BYTES) {
+            return { success: false, error: `Image is too large (${Math.round(blob.size / 1024 / 1024)} MB, max 5 MB)` };
+        }
+
+        const data = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+        return { success: true, image: { mediaType, data } };
+    } catch (error) {
+        Logger.error('Image fetch failed:', error);
+        return {
+            success: false,
+            error: error.name === 'AbortError' ? 'Image took too long to load' : error.message
+        };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
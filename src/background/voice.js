@@ -0,0 +1,126 @@
+// Background side of VoiceService
+//
+// Content scripts can't call the OpenAI API directly (CORS and key exposure),
+// so key validation and Whisper transcription run here. Every handler resolves
+// to { success: true, ... } or a structured error ({ success: false, error,
+// code, status }) that VoiceService turns back into an AIError.
+
+import '../services/logger.js';
+import '../services/ai-error.js';
+
+const OPENAI_MODELS_ENDPOINT = 'https://api.openai.com/v1/models';
+const WHISPER_ENDPOINT = 'https://api.openai.com/v1/audio/transcriptions';
+const WHISPER_MODEL = 'whisper-1';
+const VALIDATION_TIMEOUT = 5000;
+const TRANSCRIPTION_TIMEOUT = 30000;
+
+async function fetchWithTimeout(url, options, ms) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ms);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function base64ToBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+// Listing models is the cheapest authenticated call the API offers
+export async function validateOpenAIKey(key) {
+    if (!key) {
+        return new AIError(AIError.CODES.AUTH, 'OpenAI API key is not set', { provider: 'openai' }).toResponse();
+    }
+
+    try {
+        const response = await fetchWithTimeout(OPENAI_MODELS_ENDPOINT, {
+            headers: { 'Authorization': `Bearer ${key}` }
+        }, VALIDATION_TIMEOUT);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            return AIError.fromHttpResponse(response.status, errorText, 'openai').toResponse();
+        }
+        return { success: true };
+    } catch (error) {
+        return AIError.from(error, 'openai').toResponse();
+    }
+}
+
+export async function transcribeAudio({ audio, key, mimeType = 'audio/webm' }) {
+    if (!audio) {
+        return { success: false, error: 'No audio to transcribe', code: AIError.CODES.UNKNOWN };
+    }
+    if (!key) {
+        return new AIError(AIError.CODES.AUTH, 'OpenAI API key is not set', { provider: 'openai' }).toResponse();
+    }
+
+    try {
+        const form = new FormData();
+        form.append('file', base64ToBlob(audio, mimeType), 'audio.webm');
+        form.append('model', WHISPER_MODEL);
+
+        // Let fetch set the multipart boundary in Content-Type
+        const response = await fetchWithTimeout(WHISPER_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${key}` },
+            body: form
+        }, TRANSCRIPTION_TIMEOUT);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            Logger.error(`Transcription error response: ${errorText}`);
+            return AIError.fromHttpResponse(response.status, errorText, 'openai').toResponse();
+        }
+
+        const data = await response.json();
+        if (typeof data.text !== 'string') {
+            return { success: false, error: 'Invalid transcription response', code: AIError.CODES.UNKNOWN };
+        }
+        return { success: true, text: data.text.trim() };
+    } catch (error) {
+        Logger.error('Transcription failed:', error);
+        return AIError.from(error, 'openai').toResponse();
+    }
+}
+
+/**
+ * Ask for the microphone from inside the requesting tab. The service worker
+ * has no getUserMedia of its own, and running the prompt in the page makes
+ * Chrome show it for that site. Errors carry the DOMException name as code
+ * (NotAllowedError, NotFoundError, ...).
+ */
+export async function requestVoicePermission(tabId) {
+    if (!tabId) {
+        return { success: false, error: 'No tab to request the microphone in', code: 'NO_TAB' };
+    }
+
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: async () => {
+                if (!navigator.mediaDevices?.getUserMedia) {
+                    return { success: false, error: 'Microphone access is not supported on this page', code: 'NotSupportedError' };
+                }
+                try {
+                    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                    stream.getTracks().forEach(track => track.stop());
+                    return { success: true };
+                } catch (error) {
+                    return { success: false, error: error.message, code: error.name };
+                }
+            }
+        });
+        return injection?.result || { success: false, error: 'Permission check returned no result', code: 'UNKNOWN' };
+    } catch (error) {
+        Logger.error('Voice permission request failed:', error);
+        return { success: false, error: error.message, code: 'INJECTION_FAILED' };
+    }
+}
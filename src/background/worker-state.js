@@ -0,0 +1,114 @@
+// Worker state that has to outlive the service worker
+//
+// Chrome stops an idle MV3 worker after about 30 seconds and may restart it
+// at any time, dropping every module variable. The tabs that already have our
+// scripts and the requests in flight are mirrored to chrome.storage.session
+// (cleared when the browser closes, not readable by content scripts). Keys
+// survive the same way through key-vault.js.
+//
+// While any request port is open, a cheap extension API call every
+// KEEP_ALIVE_INTERVAL resets the idle timer, so a slow model answer doesn't
+// get the worker stopped under it.
+//
+// Requests still recorded when a new worker starts were interrupted. Their
+// ports closed with the old worker; the content script notices the
+// disconnect, checks that WORKER_ID changed and sends the same envelope
+// again, which takeInterruptedRequest() recognises by its requestId.
+
+import '../services/logger.js';
+
+const INJECTED_TABS_KEY = 'injectedTabs';
+const IN_FLIGHT_KEY = 'inFlightRequests';
+const KEEP_ALIVE_INTERVAL = 20000;
+// Resends arrive within seconds; older interrupted records are just dropped
+const INTERRUPTED_TTL = 60000;
+
+// A new id every time the worker starts
+export const WORKER_ID = crypto.randomUUID();
+
+let injectedTabs = new Set();
+// requestId -> { portId, tabId, provider, startTime }
+let inFlight = new Map();
+// Same shape, left over from the previous worker
+let interrupted = new Map();
+let keepAliveId = null;
+
+const ready = (async () => {
+    try {
+        const stored = await chrome.storage.session.get([INJECTED_TABS_KEY, IN_FLIGHT_KEY]);
+        injectedTabs = new Set(stored[INJECTED_TABS_KEY] || []);
+
+        const cutoff = Date.now() - INTERRUPTED_TTL;
+        interrupted = new Map(Object.entries(stored[IN_FLIGHT_KEY] || {})
+            .filter(([, record]) => record.startTime > cutoff));
+        if (interrupted.size > 0) {
+            Logger.warn(`Worker restarted with ${interrupted.size} request(s) in flight`);
+        }
+        await chrome.storage.session.set({ [IN_FLIGHT_KEY]: {} });
+    } catch (error) {
+        Logger.error('Failed to restore worker state:', error);
+    }
+})();
+
+function saveInjectedTabs() {
+    return chrome.storage.session.set({ [INJECTED_TABS_KEY]: [...injectedTabs] });
+}
+
+function saveInFlight() {
+    return chrome.storage.session.set({ [IN_FLIGHT_KEY]: Object.fromEntries(inFlight) });
+}
+
+export async function isTabInjected(tabId) {
+    await ready;
+    return injectedTabs.has(tabId);
+}
+
+export async function markTabInjected(tabId) {
+    await ready;
+    injectedTabs.add(tabId);
+    await saveInjectedTabs();
+}
+
+// Closed tabs, and tabs that navigated (the page's scripts are gone)
+export async function forgetTab(tabId) {
+    await ready;
+    if (injectedTabs.delete(tabId)) {
+        await saveInjectedTabs();
+    }
+}
+
+export async function trackRequest(requestId, { portId, tabId = null, provider = null }) {
+    await ready;
+    inFlight.set(requestId, { portId, tabId, provider, startTime: Date.now() });
+    await saveInFlight();
+}
+
+export async function finishRequest(requestId) {
+    await ready;
+    if (inFlight.delete(requestId)) {
+        await saveInFlight();
+    }
+}
+
+/**
+ * The record of a request the previous worker was running when it stopped,
+ * or null. Each record is handed out once.
+ */
+export async function takeInterruptedRequest(requestId) {
+    await ready;
+    const record = interrupted.get(requestId) || null;
+    interrupted.delete(requestId);
+    return record;
+}
+
+// Call whenever the number of open request ports changes
+export function updateKeepAlive(openPorts) {
+    if (openPorts > 0 && !keepAliveId) {
+        keepAliveId = setInterval(() => {
+            chrome.runtime.getPlatformInfo().catch(() => {});
+        }, KEEP_ALIVE_INTERVAL);
+    } else if (openPorts === 0 && keepAliveId) {
+        clearInterval(keepAliveId);
+        keepAliveId = null;
+    }
+}
@@ -12,13 +12,23 @@ if (!window.hoverBox) {
 
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.debug('Content script received message:', message);
+    Logger.debug('Content script received message:', message);
     
     if (message.action === 'toggleHoverBox') {
         initAndToggleHoverBox(sendResponse);
         return true; // Keep the message channel open for async response
     }
     
+    if (message.action === 'processSelection') {
+        processSelection(message, sendResponse);
+        return true;
+    }
+    
+    if (message.action === 'processImage') {
+        processImage(message, sendResponse);
+        return true;
+    }
+    
     // Default response for unknown actions
     sendResponse({ 
         success: false, 
@@ -27,6 +37,93 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
 });
 
+/**
+ * Create the hover box if it doesn't exist yet and wait for it to initialize
+ */
+async function ensureHoverBox() {
+    // Check for required services
+    if (!window.AIService || !window.ContextService || !window.UsageTracker) {
+        throw new Error('Required services not loaded. Please refresh the page.');
+    }
+
+    if (window.hoverBox && window.hoverBox.box) {
+        return window.hoverBox;
+    }
+    
+    Logger.debug('Initializing new AIHoverBox');
+    
+    // Clean up existing instance if needed
+    if (window.hoverBox) {
+        await window.hoverBox.cleanup();
+    }
+    
+    // Create new hover box
+    window.hoverBox = new window.AIHoverBox();
+    
+    // Wait for initialization with timeout
+    const initialized = await Promise.race([
+        window.hoverBox.initPromise,
+        new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Initialization timed out')), 10000)
+        )
+    ]);
+    
+    if (!initialized) {
+        throw new Error('Hover box initialization failed');
+    }
+    return window.hoverBox;
+}
+
+/**
+ * Open the hover box with the selection pinned as quoted context, running
+ * the chosen context menu action if there is one
+ */
+async function processSelection(message, sendResponse) {
+    try {
+        if (!message.selectedText?.trim()) {
+            throw new Error('No text selected');
+        }
+        
+        const hoverBox = await ensureHoverBox();
+        hoverBox.toggle(true);
+        hoverBox.pinSelection(message.selectedText.trim(), message.selectionAction);
+        
+        sendResponse({ success: true });
+    } catch (error) {
+        Logger.error('Error processing selection:', error);
+        sendResponse({ 
+            success: false, 
+            error: error.message || 'Unknown error occurred' 
+        });
+    }
+}
+
+/**
+ * Open the hover box with a right-clicked image pinned to the next question.
+ * The background has already fetched it; a failed fetch is shown in the chat.
+ */
+async function processImage(message, sendResponse) {
+    try {
+        const hoverBox = await ensureHoverBox();
+        hoverBox.toggle(true);
+        
+        if (!message.image) {
+            hoverBox._addMessageToChat(`Couldn't load image: ${message.error || 'unknown error'}`, 'error');
+            sendResponse({ success: false, error: message.error });
+            return;
+        }
+        
+        hoverBox.pinImage(message.image, message.srcUrl);
+        sendResponse({ success: true });
+    } catch (error) {
+        Logger.error('Error processing image:', error);
+        sendResponse({ 
+            success: false, 
+            error: error.message || 'Unknown error occurred' 
+        });
+    }
+}
+
 /**
  * Initialize and toggle the hover box
  */
@@ -42,35 +139,7 @@ async function initAndToggleHoverBox(sendResponse) {
     }, 5000);
     
     try {
-        // Check for required services
-        if (!window.AIService || !window.ContextService || !window.UsageTracker) {
-            throw new Error('Required services not loaded. Please refresh the page.');
-        }
-
-        // Create new hover box if needed
-        if (!window.hoverBox || !window.hoverBox.box) {
-            console.debug('Initializing new AIHoverBox');
-            
-            // Clean up existing instance if needed
-            if (window.hoverBox) {
-                await window.hoverBox.cleanup();
-            }
-            
-            // Create new hover box
-            window.hoverBox = new window.AIHoverBox();
-            
-            // Wait for initialization with timeout
-            const initialized = await Promise.race([
-                window.hoverBox.initPromise,
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Initialization timed out')), 10000)
-                )
-            ]);
-            
-            if (!initialized) {
-                throw new Error('Hover box initialization failed');
-            }
-        }
+        await ensureHoverBox();
 
         // Toggle the hover box
         await window.hoverBox.toggle();
@@ -83,14 +152,14 @@ async function initAndToggleHoverBox(sendResponse) {
         });
 
     } catch (error) {
-        console.error('Error in toggleHoverBox:', error);
+        Logger.error('Error in toggleHoverBox:', error);
         
         // Clean up on error
         if (window.hoverBox) {
             try {
                 await window.hoverBox.cleanup();
             } catch (cleanupError) {
-                console.error('Cleanup error:', cleanupError);
+                Logger.error('Cleanup error:', cleanupError);
             }
             window.hoverBox = null;
         }
@@ -109,4 +178,4 @@ async function initAndToggleHoverBox(sendResponse) {
 }
 
 // Log that content script is loaded
-console.log('AI Hover Assistant content script loaded');
\ No newline at end of file
+Logger.info('AI Hover Assistant content script loaded');
\ No newline at end of file
@@ -2,6 +2,11 @@
  * AIHoverBox - Shadow DOM implementation to prevent CSS leakage
  */
 class AIHoverBox {
+    // Selector value that lets the delegation service pick the model
+    static get AUTO_MODEL() {
+        return 'auto';
+    }
+
     constructor() {
         // Core state
         this.rootElement = null;
@@ -13,6 +18,11 @@ class AIHoverBox {
         this.dragOffset = { x: 0, y: 0 };
         this.messageQueue = Promise.resolve();
         this.activeModel = 'claude';
+        this.availableModels = new Set(); // providers with a key (or keyless), from the background
+        this.activeRequest = null; // AbortController for the in-flight query
+        this.waitCountdown = null; // interval ticking down a rate-limit wait
+        this.pinnedSelection = null; // selected page text quoted with each question
+        this.pinnedImage = null; // { mediaType, data, srcUrl } sent with each question
         
         // Services
         this.aiService = null;
@@ -40,7 +50,7 @@ class AIHoverBox {
             try {
                 // Attempt to load CSS using fetch API with proper error handling
                 const cssUrl = chrome.runtime.getURL('src/content/content.css');
-                console.log('Loading CSS from URL:', cssUrl);
+                Logger.info('Loading CSS from URL:', cssUrl);
                 
                 const response = await fetch(cssUrl, { cache: 'no-store' });
                 if (!response.ok) {
@@ -50,13 +60,13 @@ class AIHoverBox {
                 const cssText = await response.text();
                 styleElement.textContent = cssText;
                 this.shadowRoot.appendChild(styleElement);
-                console.log('CSS loaded successfully');
+                Logger.info('CSS loaded successfully');
             } catch (fetchError) {
-                console.warn('Failed to load external CSS, falling back to embedded styles:', fetchError);
+                Logger.warn('Failed to load external CSS, falling back to embedded styles:', fetchError);
                 // Continue with embedded styles only since _getStyles() already provides base styling
             }
         } catch (error) {
-            console.warn('Could not load content.css inside shadow DOM:', error);
+            Logger.warn('Could not load content.css inside shadow DOM:', error);
         }
     }
     
@@ -118,6 +128,7 @@ class AIHoverBox {
             
             // Set up the hover box content
             this._createBoxContent();
+            await this._populateModelSelector();
             
             // Add to document
             document.body.appendChild(this.rootElement);
@@ -143,7 +154,7 @@ class AIHoverBox {
             
             return true;
         } catch (error) {
-            console.error('AIHoverBox initialization failed:', error);
+            Logger.error('AIHoverBox initialization failed:', error);
             await this.cleanup();
             throw error;
         }
@@ -160,11 +171,7 @@ class AIHoverBox {
                     <span class="header-title">AI Assistant</span>
                 </div>
                 <div class="header-middle">
-                    <select class="model-selector" aria-label="Select AI model">
-                        <option value="claude">Claude</option>
-                        <option value="perplexity">Perplexity</option>
-                        <option value="openai">OpenAI</option>
-                    </select>
+                    <select class="model-selector" aria-label="Select AI model"></select>
                 </div>
                 <div class="header-right">
                     <span class="credits-badge">-- credits</span>
@@ -182,18 +189,37 @@ class AIHoverBox {
                         <input type="checkbox" class="voice-output-toggle">
                         <span>Voice Output</span>
                     </label>
+                    <label class="voice-toggle" title="Send a screenshot of the visible page with the question (Claude and OpenAI)">
+                        <input type="checkbox" class="screenshot-toggle">
+                        <span>Screenshot</span>
+                    </label>
+                    <label class="voice-toggle" title="Answer as data in the shape of a JSON schema">
+                        <input type="checkbox" class="structured-toggle">
+                        <span>Extract data</span>
+                    </label>
                 </div>
+                <div class="pinned-image"></div>
+                <div class="pinned-selection"></div>
                 <textarea 
                     placeholder="Ask anything about this page..." 
                     rows="3" 
                     aria-label="Message input"
                 ></textarea>
+                <div class="schema-panel">
+                    <div class="schema-templates">
+                        <select class="template-select" aria-label="Extraction template"></select>
+                        <button class="save-template-btn">Save as template</button>
+                        <button class="delete-template-btn">Delete</button>
+                    </div>
+                    <textarea class="schema-input" rows="5" spellcheck="false" placeholder='JSON schema, e.g. {"type": "object", "properties": {"name": {"type": "string"}}}' aria-label="JSON schema"></textarea>
+                </div>
                 <div class="input-controls">
                     <button class="mic-btn" aria-label="Voice input">
                         🎤
                         <div class="recording-indicator"></div>
                     </button>
                     <button class="send-btn" aria-label="Send message">Send</button>
+                    <button class="stop-btn" aria-label="Stop response">Stop</button>
                     <div class="export-dropdown">
                         <button class="export-btn" aria-label="Export conversation">⤓</button>
                         <div class="export-options">
@@ -207,6 +233,39 @@ class AIHoverBox {
         `;
     }
     
+    /**
+     * Fill the model selector from the background provider registry
+     */
+    async _populateModelSelector() {
+        const modelSelector = this.box.querySelector('.model-selector');
+        let providers = [];
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listProviders' });
+            if (response?.success && Array.isArray(response.providers)) {
+                providers = response.providers;
+            }
+        } catch (error) {
+            Logger.warn('Failed to load provider list:', error);
+        }
+        
+        this.availableModels = new Set(providers
+            .filter(provider => provider.available)
+            .map(provider => provider.id));
+        
+        // Keep the selector usable even if the background could not answer
+        if (providers.length === 0) {
+            providers = [{ id: this.activeModel, label: this.activeModel }];
+        }
+        
+        [{ id: AIHoverBox.AUTO_MODEL, label: 'Auto' }, ...providers].forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.label;
+            modelSelector.appendChild(option);
+        });
+    }
+    
     /**
      * CSS styles for the shadow DOM
      */
@@ -374,12 +433,307 @@ class AIHoverBox {
                 font-size: 13px;
             }
             
+            .message.error.transient {
+                background: rgba(122, 90, 20, 0.6);
+            }
+            
+            .error-advice {
+                margin-top: 4px;
+                font-size: 12px;
+            }
+            
+            .error-detail {
+                margin-top: 4px;
+                font-size: 10px;
+                color: rgba(255, 255, 255, 0.5);
+                word-break: break-word;
+            }
+            
+            .retry-btn {
+                margin-top: 6px;
+                padding: 4px 12px;
+                background: rgba(255, 255, 255, 0.15);
+                color: var(--text-color);
+                border: none;
+                border-radius: 4px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            
+            .retry-btn:hover {
+                background: rgba(255, 255, 255, 0.25);
+            }
+            
+            .pinned-selection {
+                display: none;
+                margin-bottom: 8px;
+                padding: 8px;
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid var(--border-color);
+                border-radius: 6px;
+                font-size: 12px;
+            }
+            
+            .pinned-selection.active {
+                display: block;
+            }
+            
+            .schema-panel {
+                display: none;
+                margin: 6px 0;
+                font-size: 12px;
+            }
+            
+            .schema-panel.active {
+                display: block;
+            }
+            
+            .schema-templates {
+                display: flex;
+                gap: 4px;
+                margin-bottom: 4px;
+            }
+            
+            .schema-templates select {
+                flex: 1;
+                min-width: 0;
+            }
+            
+            .schema-templates button,
+            .structured-actions button {
+                padding: 3px 8px;
+                background: rgba(74, 144, 226, 0.25);
+                color: var(--text-color);
+                border: none;
+                border-radius: 4px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            
+            .delete-template-btn {
+                display: none;
+            }
+            
+            .delete-template-btn.active {
+                display: inline-block;
+            }
+            
+            .schema-input {
+                width: 100%;
+                box-sizing: border-box;
+                font-family: monospace;
+                font-size: 11px;
+            }
+            
+            .structured-result {
+                margin-top: 6px;
+                max-height: 240px;
+                overflow: auto;
+            }
+            
+            .structured-result table {
+                border-collapse: collapse;
+                font-size: 11px;
+                width: 100%;
+            }
+            
+            .structured-result th,
+            .structured-result td {
+                border: 1px solid var(--border-color);
+                padding: 3px 6px;
+                text-align: left;
+                vertical-align: top;
+            }
+            
+            .structured-result th {
+                background: rgba(255, 255, 255, 0.08);
+            }
+            
+            .structured-caption {
+                margin-bottom: 4px;
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            
+            .structured-actions {
+                display: flex;
+                gap: 4px;
+                margin-top: 6px;
+            }
+            
+            .pinned-image {
+                display: none;
+                margin-bottom: 8px;
+                padding: 8px;
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid var(--border-color);
+                border-radius: 6px;
+                font-size: 12px;
+            }
+            
+            .pinned-image.active {
+                display: block;
+            }
+            
+            .pinned-image img {
+                display: block;
+                max-width: 100%;
+                max-height: 80px;
+                margin-top: 4px;
+                border-radius: 4px;
+            }
+            
+            .message-attachments {
+                font-size: 10px;
+                color: rgba(255, 255, 255, 0.6);
+                margin-top: 4px;
+            }
+            
+            .pinned-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                color: rgba(255, 255, 255, 0.6);
+            }
+            
+            .unpin-btn {
+                background: none;
+                border: none;
+                color: var(--text-color);
+                font-size: 14px;
+                cursor: pointer;
+            }
+            
+            .pinned-quote {
+                margin: 4px 0 6px;
+                padding-left: 8px;
+                border-left: 3px solid var(--primary-color);
+                max-height: 60px;
+                overflow-y: auto;
+                white-space: pre-wrap;
+            }
+            
+            .selection-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+            }
+            
+            .selection-actions button {
+                padding: 3px 8px;
+                background: rgba(74, 144, 226, 0.25);
+                color: var(--text-color);
+                border: none;
+                border-radius: 10px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            
+            .selection-actions button:hover {
+                background: rgba(74, 144, 226, 0.45);
+            }
+            
+            .message-sources {
+                margin: 8px 0 0;
+                padding-left: 20px;
+                font-size: 11px;
+            }
+            
+            .message-sources a {
+                color: var(--primary-color);
+                text-decoration: none;
+            }
+            
+            .message-sources a:hover {
+                text-decoration: underline;
+            }
+            
+            .source-host {
+                color: rgba(255, 255, 255, 0.5);
+            }
+            
+            .message-truncated,
+            .message-cached {
+                margin-top: 6px;
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.6);
+            }
+            
+            .continue-btn {
+                padding: 2px 10px;
+                background: rgba(74, 144, 226, 0.35);
+                color: var(--text-color);
+                border: none;
+                border-radius: 4px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            
+            .continue-btn:hover {
+                background: rgba(74, 144, 226, 0.55);
+            }
+            
             .message-timestamp {
                 font-size: 10px;
                 color: rgba(255, 255, 255, 0.5);
                 margin-bottom: 4px;
             }
             
+            .message-trace {
+                font-size: 10px;
+                color: rgba(255, 255, 255, 0.5);
+                margin-top: 6px;
+            }
+            
+            .message-reasoning {
+                font-size: 10px;
+                color: rgba(255, 255, 255, 0.5);
+                margin-top: 2px;
+                font-style: italic;
+            }
+            
+            .hybrid-steps {
+                margin: 4px 0;
+                padding: 4px 8px;
+                border-left: 2px solid var(--primary-color);
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.6);
+            }
+            
+            .hybrid-step summary {
+                cursor: pointer;
+            }
+            
+            .hybrid-step.failed {
+                color: #e88;
+            }
+            
+            .hybrid-step-text {
+                max-height: 150px;
+                overflow-y: auto;
+                margin: 4px 0 4px 12px;
+                white-space: pre-wrap;
+                color: rgba(255, 255, 255, 0.75);
+            }
+            
+            .tool-steps {
+                margin: 4px 0;
+                padding: 4px 8px;
+                border-left: 2px solid var(--border-color);
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.6);
+            }
+            
+            .tool-step {
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+            
+            .tool-step.failed {
+                color: #e88;
+            }
+            
             .input-container {
                 padding: 10px 15px 15px;
                 border-top: 1px solid var(--border-color);
@@ -471,6 +825,35 @@ class AIHoverBox {
                 cursor: not-allowed;
             }
             
+            .stop-btn {
+                display: none;
+                padding: 8px 16px;
+                background: #c0392b;
+                color: var(--text-color);
+                border: none;
+                border-radius: 4px;
+                font-size: 14px;
+                font-weight: 500;
+                cursor: pointer;
+                height: 34px;
+                box-sizing: border-box;
+            }
+            
+            .stop-btn.active {
+                display: block;
+            }
+            
+            .stop-btn:hover {
+                background: #a93226;
+            }
+            
+            .message-stopped {
+                margin-top: 4px;
+                font-size: 11px;
+                font-style: italic;
+                opacity: 0.7;
+            }
+            
             .mic-btn {
                 width: 34px;
                 height: 34px;
@@ -710,7 +1093,7 @@ class AIHoverBox {
                 this.voiceService = new window.VoiceService();
                 await this.voiceService.initPromise;
             } catch (error) {
-                console.warn('Voice service initialization failed, continuing without voice support:', error);
+                Logger.warn('Voice service initialization failed, continuing without voice support:', error);
                 this.voiceService = null;
             }
         }
@@ -775,6 +1158,40 @@ class AIHoverBox {
         // Send button
         sendBtn.addEventListener('click', () => this._sendMessage());
         
+        // Pinned selection: action buttons and unpin
+        const pinnedSelection = this.box.querySelector('.pinned-selection');
+        pinnedSelection.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-selection-action]');
+            if (actionBtn) {
+                this._runSelectionAction(actionBtn.dataset.selectionAction);
+            } else if (e.target.closest('.unpin-btn')) {
+                this.unpinSelection();
+            }
+        });
+        
+        // Structured output: schema panel and templates
+        const structuredToggle = this.box.querySelector('.structured-toggle');
+        structuredToggle.addEventListener('change', () => {
+            this.box.querySelector('.schema-panel').classList.toggle('active', structuredToggle.checked);
+            if (structuredToggle.checked) {
+                this._loadExtractionTemplates();
+            }
+        });
+        this.box.querySelector('.template-select').addEventListener('change', () => this._applyExtractionTemplate());
+        this.box.querySelector('.save-template-btn').addEventListener('click', () => this._saveExtractionTemplate());
+        this.box.querySelector('.delete-template-btn').addEventListener('click', () => this._deleteExtractionTemplate());
+        
+        // Pinned image: unpin
+        this.box.querySelector('.pinned-image').addEventListener('click', (e) => {
+            if (e.target.closest('.unpin-btn')) {
+                this.unpinImage();
+            }
+        });
+        
+        // Stop button
+        const stopBtn = this.box.querySelector('.stop-btn');
+        stopBtn.addEventListener('click', () => this._cancelActiveRequest());
+        
         // Voice input
         micBtn.addEventListener('click', () => this._toggleVoiceInput());
         
@@ -966,7 +1383,8 @@ class AIHoverBox {
             
             this.isVisible = true;
         } else {
-            // Hide
+            // Hide, abandoning any answer still in flight
+            this._cancelActiveRequest();
             this.box.classList.remove('visible');
             
             setTimeout(() => {
@@ -995,85 +1413,176 @@ class AIHoverBox {
     /**
      * Send a message
      */
-    async _sendMessage() {
+    // `instruction` replaces the typed text as the prompt sent to the model
+    // while the chat still shows what was typed (e.g. "Continue");
+    // `cache: false` skips the background's response cache (Regenerate)
+    async _sendMessage({ model = this.activeModel, instruction = null, cache = true } = {}) {
         const textarea = this.box.querySelector('textarea');
         const message = textarea.value.trim();
         
-        if (!message) return;
+        if (!message || this.activeRequest) return;
+        
+        // With "Extract data" on the answer comes back as data in this shape
+        let schema;
+        try {
+            schema = this._getActiveSchema();
+        } catch (error) {
+            this._addMessageToChat(error.message, 'error');
+            return;
+        }
+        
+        // A pinned selection travels with every question as quoted context
+        const question = instruction || message;
+        const isAuto = model === AIHoverBox.AUTO_MODEL;
+        const prompt = this.pinnedSelection ?
+            SelectionActions.withQuote(this.pinnedSelection, question) :
+            question;
+        
+        let streamingMessage = null;
+        let toolSteps = null;
+        let hybridSteps = null;
+        const request = new AbortController();
+        this.activeRequest = request;
         
         try {
             // Add loading state
             const sendBtn = this.box.querySelector('.send-btn');
             if (!sendBtn) {
-                console.error('Send button not found in the DOM');
+                Logger.error('Send button not found in the DOM');
                 throw new Error('UI elements not properly initialized');
             }
             
             textarea.disabled = true;
             sendBtn.disabled = true;
             sendBtn.textContent = 'Sending...';
+            this.box.querySelector('.stop-btn')?.classList.add('active');
             
             // Add user message to chat
-            this._addMessageToChat(message, 'user');
+            const userMessage = this._addMessageToChat(message, 'user');
             
             // Clear input
             textarea.value = '';
             
             // Log that we're making an API request
-            console.log(`AI Hover Assistant: Sending request to ${this.activeModel} model`);
+            Logger.info(`AI Hover Assistant: Sending request to ${model} model`);
             
             // Get context and query AI
             const context = await this.contextService.captureContext();
+            const images = await this._collectImages(userMessage);
             
             // Log the request
-            console.log('Context captured, making API request with model:', this.activeModel);
+            Logger.info('Context captured, making API request with model:', model);
             
             // Check if AI service is initialized
             if (!this.aiService) {
                 throw new Error('AI Service is not initialized. Please try reloading the page.');
             }
             
-            // Additional validation for API keys - with safety checks
-            try {
-                // Check if API keys are available through background service
-                const validationResponse = await chrome.runtime.sendMessage({
-                    action: 'validateAPIKey',
-                    model: this.activeModel
-                });
-                
-                if (!validationResponse?.success) {
-                    console.error(`API key validation failed for ${this.activeModel}:`, validationResponse?.error);
-                    throw new Error(`API key validation failed: ${validationResponse?.error || 'Unknown error'}`);
+            // Additional validation for API keys - with safety checks. Auto
+            // only routes to providers that have a key.
+            if (!isAuto) {
+                try {
+                    // Check if API keys are available through background service
+                    const validationResponse = await chrome.runtime.sendMessage({
+                        action: 'validateAPIKey',
+                        model: model
+                    });
+                    
+                    if (!validationResponse?.success) {
+                        Logger.error(`API key validation failed for ${model}:`, validationResponse?.error);
+                        if (validationResponse?.code === AIError.CODES.LOCKED) {
+                            throw AIError.fromResponse(validationResponse);
+                        }
+                        throw new Error(`API key validation failed: ${validationResponse?.error || 'Unknown error'}`);
+                    }
+                    
+                    // Log the successful validation
+                    Logger.info(`API key validation successful for ${model} model`);
+                } catch (keyError) {
+                    Logger.error('API key validation failed:', keyError);
+                    if (keyError instanceof AIError) {
+                        throw keyError;
+                    }
+                    const errorMsg = keyError?.message || 'Unknown validation error';
+                    throw new AIError(AIError.CODES.AUTH, `API key error: ${errorMsg}`, { provider: model });
                 }
+            }
+            
+            if (schema) {
+                // Extraction needs a model that supports schemas, so Auto doesn't route it
+                const structuredModel = isAuto ? this.aiService.delegationService.pickModel('claude') : model;
+                const result = await this.aiService.queryStructured(prompt, context, structuredModel, schema, {
+                    signal: request.signal,
+                    images,
+                    cache,
+                    onWait: ({ providerLabel, waitMs }) => {
+                        this._showRateLimitWait(sendBtn, providerLabel, waitMs);
+                    }
+                });
                 
-                // Log the successful validation
-                console.log(`API key validation successful for ${this.activeModel} model`);
+                const usageInfo = await this.usageTracker.incrementUsage();
+                await this._updateCreditsDisplay(usageInfo);
                 
-                // Double check format for Claude API key if using Claude
-                if (this.activeModel === 'claude') {
-                    const claudeKeyFormat = /^sk-(ant-)?[a-zA-Z0-9]{24,}$/;
-                    const claudeKey = await this._getApiKey('claude');
-                    
-                    if (!claudeKeyFormat.test(claudeKey)) {
-                        console.warn('Claude API key may have incorrect format:', claudeKey?.substring(0, 8) + '...');
-                    }
+                const resultMessage = this._addStructuredResult(result);
+                this._addRoutingTrace(resultMessage, result.trace);
+                if (result.trace?.cached) {
+                    this._addRegenerateButton(resultMessage, { model, message, instruction });
                 }
-            } catch (keyError) {
-                console.error('API key validation failed:', keyError);
-                const errorMsg = keyError?.message || 'Unknown validation error';
-                throw new Error(`API key error: ${errorMsg}. Please visit the extension popup and update your API keys.`);
+                return;
             }
             
-            const response = await this.aiService.queryByModel(
-                message,
-                context,
-                this.activeModel
-            );
+            // Render partial text in a single assistant message as it streams in
+            const queryOptions = {
+                signal: request.signal,
+                images,
+                cache,
+                onWait: ({ providerLabel, waitMs }) => {
+                    this._showRateLimitWait(sendBtn, providerLabel, waitMs);
+                },
+                // The model looks things up on the page before answering
+                onToolCall: async (call) => {
+                    sendBtn.textContent = 'Reading page...';
+                    const result = await this.contextService.runTool(call.name, call.input);
+                    if (this.box) {
+                        toolSteps = this._addToolStep(toolSteps, streamingMessage, call, result);
+                    }
+                    return result;
+                },
+                onDelta: (partialText) => {
+                    this._clearRateLimitWait(sendBtn);
+                    if (!streamingMessage) {
+                        streamingMessage = this._addMessageToChat(partialText, 'assistant');
+                        sendBtn.textContent = 'Receiving...';
+                    } else {
+                        this._addMessageToChat(partialText, 'assistant', streamingMessage);
+                    }
+                }
+            };
             
-            // Log successful response
-            console.log(`AI Hover Assistant: Received response from ${this.activeModel} model`);
+            // Auto shows each side of a hybrid fan-out above the merged answer
+            const response = isAuto ?
+                await this.aiService.queryAuto(prompt, context, {
+                    ...queryOptions,
+                    onBranch: (branch) => {
+                        if (this.box) {
+                            hybridSteps = this._addHybridStep(hybridSteps, branch);
+                        }
+                    },
+                    onMerge: () => {
+                        sendBtn.textContent = 'Merging...';
+                        hybridSteps = this._addHybridStep(hybridSteps, { model: 'merge', status: 'pending' });
+                    }
+                }) :
+                await this.aiService.queryByModel(prompt, context, model, queryOptions);
             
-            // Update usage
+            if (hybridSteps?.querySelector('[data-model="merge"]')) {
+                this._addHybridStep(hybridSteps, { model: 'merge', status: 'done' });
+            }
+            
+            // Log successful response
+            Logger.info(`AI Hover Assistant: Received response from ${model} model`);
+            
+            // Update usage
             const usageInfo = await this.usageTracker.incrementUsage();
             await this._updateCreditsDisplay(usageInfo);
             
@@ -1082,7 +1591,19 @@ class AIHoverBox {
                 throw new Error('Received empty response from API. Please try again.');
             }
             
-            this._addMessageToChat(response.text, 'assistant');
+            const assistantMessage = this._addMessageToChat(response.text, 'assistant', streamingMessage);
+            this._addRoutingTrace(assistantMessage, response.trace);
+            if (isAuto) {
+                this._addRoutingDecision(assistantMessage, response.metadata?.modelDecision);
+            }
+            this._addCitations(assistantMessage, response.citations);
+            if (response.truncated) {
+                // Auto continues with whichever provider wrote the answer
+                this._addContinueButton(assistantMessage, isAuto ? (response.trace?.provider || model) : model);
+            }
+            if (response.trace?.cached) {
+                this._addRegenerateButton(assistantMessage, { model, message, instruction });
+            }
             
             // Check if voice output is enabled
             const voiceOutputEnabled = this.box.querySelector('.voice-output-toggle')?.checked || false;
@@ -1090,70 +1611,638 @@ class AIHoverBox {
                 this._speakResponse(response.text);
             }
         } catch (error) {
-            console.error('Error sending message:', error);
+            // Stopped by the user, or the box went away mid-request
+            if (error?.name === 'AbortError') {
+                Logger.info('AI Hover Assistant: Request stopped');
+                if (this.box) {
+                    this._markRequestStopped(streamingMessage);
+                }
+                return;
+            }
             
-            // Enhanced error handling with safety checks
-            let errorMsg = 'Error: ';
+            Logger.error('Error sending message:', error);
             
-            if (error && typeof error === 'object' && error.message) {
-                errorMsg += error.message;
-            } else {
-                errorMsg += 'Unknown error occurred';
+            // Drop any half-streamed answer so the error stands on its own
+            if (streamingMessage) {
+                streamingMessage.remove();
             }
             
-            // Add specific advice for API errors
-            if (error && error.message && 
-                (error.message.includes('API') || error.message.includes('key'))) {
-                console.error('API KEY ERROR DETECTED in hover-box.js:', error.message);
-                
-                // Log debug info
+            const aiError = AIError.from(error, model);
+            
+            // Keep a record of key problems for later analysis
+            if (aiError.code === AIError.CODES.AUTH) {
                 const debugInfo = {
-                    timestamp: new Date().toISOString(),
-                    errorType: 'API_ERROR',
-                    message: error.message,
+                    errorType: aiError.code,
+                    message: aiError.message,
                     location: 'hover-box.js _sendMessage',
-                    model: this.activeModel
+                    model: model
                 };
                 
-                console.error('Debug Info:', JSON.stringify(debugInfo, null, 2));
+                Logger.error('Debug Info:', debugInfo);
+                Logger.recordError(debugInfo);
+            }
+            
+            this._addErrorMessage(aiError, message, model);
+        } finally {
+            // Only the request that still owns the box resets it
+            const stillActive = this.activeRequest === request;
+            if (stillActive) {
+                this.activeRequest = null;
+                this._clearRateLimitWait();
+            }
+            
+            // Reset loading state safely; the box is gone if cleanup ran mid-request
+            if (stillActive && this.box) {
+                if (textarea) {
+                    textarea.disabled = false;
+                    textarea.focus();
+                }
                 
-                // Try to save to storage for later analysis
-                try {
-                    chrome.storage.local.get(['error_log'], (result) => {
-                        const errorLog = result.error_log || [];
-                        errorLog.push(debugInfo);
-                        chrome.storage.local.set({ error_log: errorLog.slice(-50) }); // Keep last 50 errors
-                    });
-                } catch (e) {
-                    console.error('Failed to log error to storage:', e);
+                const sendButton = this.box.querySelector('.send-btn');
+                if (sendButton) {
+                    sendButton.disabled = false;
+                    sendButton.textContent = 'Send';
                 }
                 
-                errorMsg += `\nThis appears to be an API key issue. Please try:\n- Checking API keys in extension settings\n- Running resetApiKeys() in the browser console\n- Reloading the extension`;
+                this.box.querySelector('.stop-btn')?.classList.remove('active');
+            }
+        }
+    }
+    
+    /**
+     * What to tell the user for each AIError code. Transient errors get a
+     * Retry button when their retry policy allows more than one attempt.
+     */
+    _describeError(error) {
+        const provider = this._providerLabel(error.provider || this.activeModel);
+        
+        switch (error.code) {
+            case AIError.CODES.AUTH:
+                return {
+                    title: 'API key problem',
+                    advice: `The ${provider} key is missing or was rejected. Update it from the extension popup.`
+                };
+            case AIError.CODES.LOCKED:
+                return {
+                    title: 'API keys are locked',
+                    advice: 'Open the extension popup and enter your passphrase to unlock your keys, then send your question again.'
+                };
+            case AIError.CODES.RATE_LIMIT:
+                return {
+                    title: 'Rate limited',
+                    advice: error.retryAfterMs ?
+                        `${provider} is throttling requests. Try again in ${Math.ceil(error.retryAfterMs / 1000)}s.` :
+                        `${provider} is throttling requests. Wait a moment before retrying.`,
+                    transient: true
+                };
+            case AIError.CODES.TIMEOUT:
+                return {
+                    title: 'No response in time',
+                    advice: `${provider} took too long to answer. Retry, or pick another model.`,
+                    transient: true
+                };
+            case AIError.CODES.NETWORK:
+                return {
+                    title: 'Connection failed',
+                    advice: 'Check your internet connection, or that your local model server is running.',
+                    transient: true
+                };
+            case AIError.CODES.PROVIDER_5XX:
+                return {
+                    title: 'Provider unavailable',
+                    advice: `${provider} returned a server error. Retry shortly or switch models.`,
+                    transient: true
+                };
+            case AIError.CODES.CONTENT_FILTER:
+                return {
+                    title: 'Response blocked',
+                    advice: "The provider's content filter blocked this answer. Try rephrasing the question."
+                };
+            case AIError.CODES.QUOTA:
+                return {
+                    title: 'Out of quota',
+                    advice: `Your ${provider} account has no credit left. Check billing with the provider or switch models.`
+                };
+            case AIError.CODES.SCHEMA:
+                return {
+                    title: "Answer didn't match the schema",
+                    advice: `${provider} couldn't produce data in the shape of the schema. Loosen the schema (fewer required fields, nullable types) or rephrase the request.`
+                };
+            default:
+                return {
+                    title: 'Something went wrong',
+                    advice: 'The request failed unexpectedly.'
+                };
+        }
+    }
+    
+    /**
+     * Show a typed error with advice for its code and, where retrying can
+     * help, a button that sends the same prompt again
+     */
+    _addErrorMessage(error, prompt, model = this.activeModel) {
+        const { title, advice, transient } = this._describeError(error);
+        const messageDiv = this._addMessageToChat(title, 'error');
+        if (!messageDiv) return;
+        
+        messageDiv.classList.add(`error-${error.code.toLowerCase()}`);
+        messageDiv.classList.toggle('transient', !!transient);
+        
+        const adviceDiv = document.createElement('div');
+        adviceDiv.className = 'error-advice';
+        adviceDiv.textContent = advice;
+        messageDiv.appendChild(adviceDiv);
+        
+        const detailDiv = document.createElement('div');
+        detailDiv.className = 'error-detail';
+        detailDiv.textContent = error.message;
+        messageDiv.appendChild(detailDiv);
+        
+        if (prompt && AIError.retryPolicy(error.code).maxAttempts > 1) {
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'retry-btn';
+            retryBtn.textContent = 'Retry';
+            retryBtn.addEventListener('click', () => {
+                if (this.activeRequest) return;
+                messageDiv.remove();
+                this.box.querySelector('textarea').value = prompt;
+                this._sendMessage({ model });
+            });
+            messageDiv.appendChild(retryBtn);
+        }
+    }
+    
+    /**
+     * Count down a rate-limit wait on the send button
+     */
+    _showRateLimitWait(sendBtn, providerLabel, waitMs) {
+        this._clearRateLimitWait();
+        
+        const waitUntil = Date.now() + waitMs;
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((waitUntil - Date.now()) / 1000));
+            sendBtn.textContent = `Waiting ${seconds}s...`;
+            if (seconds === 0) {
+                this._clearRateLimitWait(sendBtn);
+            }
+        };
+        
+        sendBtn.title = `${providerLabel} is rate limiting requests`;
+        tick();
+        this.waitCountdown = setInterval(tick, 1000);
+    }
+    
+    _clearRateLimitWait(sendBtn = null) {
+        if (this.waitCountdown) {
+            clearInterval(this.waitCountdown);
+            this.waitCountdown = null;
+            if (sendBtn) {
+                sendBtn.textContent = 'Sending...';
+            }
+        }
+        if (sendBtn) {
+            sendBtn.title = '';
+        }
+    }
+    
+    /**
+     * Quote selected page text in every question until unpinned. With an
+     * action id (from the context menu) the action runs straight away.
+     */
+    pinSelection(text, actionId = null) {
+        this.pinnedSelection = text;
+        this._renderPinnedSelection();
+        
+        if (actionId && SelectionActions.get(actionId)) {
+            this._runSelectionAction(actionId);
+        } else {
+            this.box.querySelector('textarea')?.focus();
+        }
+    }
+    
+    unpinSelection() {
+        this.pinnedSelection = null;
+        this._renderPinnedSelection();
+    }
+    
+    /**
+     * Send an image from the page (context menu "Ask about image") with
+     * every question until unpinned
+     */
+    pinImage(image, srcUrl) {
+        this.pinnedImage = { ...image, srcUrl };
+        this._renderPinnedImage();
+        this.box.querySelector('textarea')?.focus();
+    }
+    
+    unpinImage() {
+        this.pinnedImage = null;
+        this._renderPinnedImage();
+    }
+    
+    _renderPinnedImage() {
+        const container = this.box.querySelector('.pinned-image');
+        container.innerHTML = '';
+        container.classList.toggle('active', !!this.pinnedImage);
+        if (!this.pinnedImage) return;
+        
+        const header = document.createElement('div');
+        header.className = 'pinned-header';
+        header.innerHTML = '<span>Image</span><button class="unpin-btn" aria-label="Remove image">×</button>';
+        container.appendChild(header);
+        
+        // The page already loaded this URL, so its CSP allows showing it
+        if (this.pinnedImage.srcUrl) {
+            const preview = document.createElement('img');
+            preview.src = this.pinnedImage.srcUrl;
+            preview.alt = 'Pinned image';
+            container.appendChild(preview);
+        }
+    }
+    
+    /**
+     * Images for this question: the pinned image, plus a screenshot of the
+     * visible page when the Screenshot toggle is on. The hover box hides while
+     * the screenshot is taken so it doesn't cover the page.
+     */
+    async _collectImages(userMessage) {
+        const images = [];
+        const labels = [];
+        
+        if (this.pinnedImage) {
+            images.push({ mediaType: this.pinnedImage.mediaType, data: this.pinnedImage.data });
+            labels.push('🖼 Image');
+        }
+        
+        if (this.box.querySelector('.screenshot-toggle')?.checked) {
+            this.rootElement.style.visibility = 'hidden';
+            let result;
+            try {
+                // Let the page repaint without the box before capturing
+                await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+                result = await chrome.runtime.sendMessage({ action: 'captureScreenshot' });
+            } finally {
+                this.rootElement.style.visibility = '';
             }
             
-            this._addMessageToChat(errorMsg, 'error');
-        } finally {
-            // Reset loading state safely
-            if (textarea) {
-                textarea.disabled = false;
-                textarea.focus();
+            if (!result?.success) {
+                throw new Error(`Screenshot failed: ${result?.error || 'no response'}`);
             }
+            images.push(result.image);
+            labels.push('📷 Screenshot');
+        }
+        
+        if (userMessage && labels.length > 0) {
+            const attachments = document.createElement('div');
+            attachments.className = 'message-attachments';
+            attachments.textContent = labels.join(' · ');
+            userMessage.appendChild(attachments);
+        }
+        return images;
+    }
+    
+    _renderPinnedSelection() {
+        const container = this.box.querySelector('.pinned-selection');
+        container.innerHTML = '';
+        container.classList.toggle('active', !!this.pinnedSelection);
+        if (!this.pinnedSelection) return;
+        
+        const header = document.createElement('div');
+        header.className = 'pinned-header';
+        header.innerHTML = '<span>Selected text</span><button class="unpin-btn" aria-label="Remove selected text">×</button>';
+        
+        const quote = document.createElement('blockquote');
+        quote.className = 'pinned-quote';
+        quote.textContent = this.pinnedSelection;
+        
+        const actions = document.createElement('div');
+        actions.className = 'selection-actions';
+        SelectionActions.ACTIONS.forEach(action => {
+            const button = document.createElement('button');
+            button.dataset.selectionAction = action.id;
+            button.textContent = action.label;
+            actions.appendChild(button);
+        });
+        
+        container.appendChild(header);
+        container.appendChild(quote);
+        container.appendChild(actions);
+    }
+    
+    /**
+     * Send the action's prompt template about the pinned selection, on the
+     * action's preferred provider when that one is available
+     */
+    _runSelectionAction(actionId) {
+        const action = SelectionActions.get(actionId);
+        if (!action || !this.pinnedSelection || this.activeRequest) return;
+        
+        const language = this._getUserLanguage();
+        this.box.querySelector('textarea').value = SelectionActions.buildPrompt(actionId, { language });
+        
+        const preferredAvailable = action.preferredModel && this.availableModels.has(action.preferredModel);
+        this._sendMessage({ model: preferredAvailable ? action.preferredModel : this.activeModel });
+    }
+    
+    _getUserLanguage() {
+        const code = (navigator.language || 'en').split('-')[0];
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || 'English';
+        } catch (error) {
+            return 'English';
+        }
+    }
+    
+    /**
+     * The parsed schema when "Extract data" is on, null otherwise. Throws
+     * with a readable message when the schema isn't valid JSON.
+     */
+    _getActiveSchema() {
+        if (!this.box.querySelector('.structured-toggle')?.checked) return null;
+        
+        const text = this.box.querySelector('.schema-input').value.trim();
+        if (!text) {
+            throw new Error('Enter a JSON schema or pick a template to extract data.');
+        }
+        try {
+            const schema = JSON.parse(text);
+            if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+                throw new Error('the schema must be a JSON object');
+            }
+            return schema;
+        } catch (error) {
+            throw new Error(`Invalid JSON schema: ${error.message}`);
+        }
+    }
+    
+    async _loadExtractionTemplates(selectedName = null) {
+        const select = this.box.querySelector('.template-select');
+        try {
+            this.extractionTemplates = await ExtractionTemplates.list();
+        } catch (error) {
+            Logger.error('Failed to load extraction templates:', error);
+            this.extractionTemplates = ExtractionTemplates.BUILT_IN;
+        }
+        
+        const current = selectedName ?? select.value;
+        select.innerHTML = '<option value="">Custom schema</option>';
+        this.extractionTemplates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.saved ? `${template.name} (saved)` : template.name;
+            select.appendChild(option);
+        });
+        select.value = this.extractionTemplates.some(template => template.name === current) ? current : '';
+        this._updateTemplateButtons();
+    }
+    
+    _applyExtractionTemplate() {
+        const name = this.box.querySelector('.template-select').value;
+        const template = this.extractionTemplates?.find(t => t.name === name);
+        this._updateTemplateButtons();
+        if (!template) return;
+        
+        this.box.querySelector('.schema-input').value = JSON.stringify(template.schema, null, 2);
+        const textarea = this.box.querySelector('textarea');
+        if (!textarea.value.trim() && template.prompt) {
+            textarea.value = template.prompt;
+        }
+    }
+    
+    _updateTemplateButtons() {
+        const name = this.box.querySelector('.template-select').value;
+        const template = this.extractionTemplates?.find(t => t.name === name);
+        this.box.querySelector('.delete-template-btn').classList.toggle('active', !!template?.saved);
+    }
+    
+    async _saveExtractionTemplate() {
+        try {
+            const schema = JSON.parse(this.box.querySelector('.schema-input').value);
+            const selected = this.extractionTemplates?.find(t => t.name === this.box.querySelector('.template-select').value);
+            const name = window.prompt('Template name', selected?.saved ? selected.name : '');
+            if (name === null) return;
             
-            const sendButton = this.box.querySelector('.send-btn');
-            if (sendButton) {
-                sendButton.disabled = false;
-                sendButton.textContent = 'Send';
+            await ExtractionTemplates.save(name, schema, this.box.querySelector('textarea').value.trim());
+            await this._loadExtractionTemplates(name.trim());
+        } catch (error) {
+            this._addMessageToChat(`Couldn't save template: ${error.message}`, 'error');
+        }
+    }
+    
+    async _deleteExtractionTemplate() {
+        const name = this.box.querySelector('.template-select').value;
+        if (!name) return;
+        
+        try {
+            await ExtractionTemplates.remove(name);
+            await this._loadExtractionTemplates('');
+        } catch (error) {
+            this._addMessageToChat(`Couldn't delete template: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Show structured output as a table with copy-as-JSON and copy-as-CSV.
+     * The data is kept on the element so the export includes it.
+     */
+    _addStructuredResult(result) {
+        const table = ExtractionTemplates.toTable(result.data);
+        const summary = `Extracted ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}` +
+            (result.schemaAttempts > 1 ? ` (matched the schema on attempt ${result.schemaAttempts})` : '');
+        const messageDiv = this._addMessageToChat(summary, 'assistant');
+        if (!messageDiv) return null;
+        
+        messageDiv.dataset.structured = JSON.stringify(result.data);
+        
+        const container = document.createElement('div');
+        container.className = 'structured-result';
+        
+        if (table.caption) {
+            const caption = document.createElement('div');
+            caption.className = 'structured-caption';
+            caption.textContent = table.caption;
+            container.appendChild(caption);
+        }
+        
+        const tableEl = document.createElement('table');
+        const headRow = tableEl.createTHead().insertRow();
+        table.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            headRow.appendChild(th);
+        });
+        const body = tableEl.createTBody();
+        table.rows.forEach(row => {
+            const tr = body.insertRow();
+            row.forEach(value => {
+                tr.insertCell().textContent = String(value);
+            });
+        });
+        container.appendChild(tableEl);
+        
+        const actions = document.createElement('div');
+        actions.className = 'structured-actions';
+        [
+            ['Copy JSON', () => JSON.stringify(result.data, null, 2)],
+            ['Copy CSV', () => ExtractionTemplates.toCsv(table)]
+        ].forEach(([label, getText]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(getText());
+                    button.textContent = 'Copied';
+                } catch (error) {
+                    Logger.error('Copy failed:', error);
+                    button.textContent = 'Copy failed';
+                }
+                setTimeout(() => { button.textContent = label; }, 1500);
+            });
+            actions.appendChild(button);
+        });
+        
+        messageDiv.appendChild(container);
+        messageDiv.appendChild(actions);
+        return messageDiv;
+    }
+    
+    /**
+     * Numbered source links under an answer, matching the [n] markers in the
+     * text. Kept on the element as well so the JSON export includes them.
+     */
+    _addCitations(messageDiv, citations) {
+        if (!messageDiv || !Array.isArray(citations) || citations.length === 0) return;
+        
+        messageDiv.dataset.citations = JSON.stringify(citations);
+        
+        const sources = document.createElement('ol');
+        sources.className = 'message-sources';
+        sources.setAttribute('aria-label', 'Sources');
+        
+        citations.forEach((citation, index) => {
+            let hostname = '';
+            try {
+                hostname = new URL(citation.url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                return; // Skip malformed URLs rather than render a dead link
             }
+            
+            const item = document.createElement('li');
+            item.value = index + 1; // keep numbers aligned with [n] markers
+            const link = document.createElement('a');
+            link.href = citation.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = citation.title && citation.title !== citation.url ? citation.title : hostname;
+            link.title = citation.url;
+            
+            const host = document.createElement('span');
+            host.className = 'source-host';
+            host.textContent = ` ${hostname}`;
+            
+            item.appendChild(link);
+            item.appendChild(host);
+            sources.appendChild(item);
+        });
+        
+        messageDiv.appendChild(sources);
+    }
+    
+    /**
+     * The answer hit max_tokens; offer to pick up where it stopped. The
+     * truncated answer is already in the conversation history.
+     */
+    _addContinueButton(messageDiv, model) {
+        if (!messageDiv) return;
+        
+        const notice = document.createElement('div');
+        notice.className = 'message-truncated';
+        notice.textContent = 'Stopped at the max token limit. ';
+        
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'continue-btn';
+        continueBtn.textContent = 'Continue';
+        continueBtn.addEventListener('click', () => {
+            if (this.activeRequest) return;
+            notice.remove();
+            this.box.querySelector('textarea').value = 'Continue';
+            this._sendMessage({
+                model,
+                instruction: 'Continue your previous answer exactly where it stopped. Do not repeat any of it.',
+                cache: false
+            });
+        });
+        
+        notice.appendChild(continueBtn);
+        messageDiv.appendChild(notice);
+    }
+    
+    /**
+     * The answer came from the response cache; offer to ask the model again.
+     * `message` and `instruction` are what _sendMessage got the first time.
+     */
+    _addRegenerateButton(messageDiv, { model, message, instruction }) {
+        if (!messageDiv) return;
+        
+        const notice = document.createElement('div');
+        notice.className = 'message-cached';
+        notice.textContent = 'Reused an earlier answer. ';
+        
+        const regenerateBtn = document.createElement('button');
+        regenerateBtn.className = 'continue-btn';
+        regenerateBtn.textContent = 'Regenerate';
+        regenerateBtn.addEventListener('click', () => {
+            if (this.activeRequest) return;
+            notice.remove();
+            this.box.querySelector('textarea').value = message;
+            this._sendMessage({ model, instruction, cache: false });
+        });
+        
+        notice.appendChild(regenerateBtn);
+        messageDiv.appendChild(notice);
+    }
+    
+    /**
+     * Abort the in-flight query, if any
+     */
+    // The request's own finally block clears activeRequest and resets the box
+    _cancelActiveRequest() {
+        this.activeRequest?.abort();
+    }
+    
+    /**
+     * Keep whatever streamed in before the user stopped the request
+     */
+    _markRequestStopped(streamingMessage) {
+        if (!streamingMessage) {
+            this._addMessageToChat('Request stopped.', 'error');
+            return;
         }
+        
+        const note = document.createElement('div');
+        note.className = 'message-stopped';
+        note.textContent = 'Stopped';
+        streamingMessage.appendChild(note);
     }
     
     /**
-     * Add a message to the chat
+     * Add a message to the chat, or replace the text of an existing
+     * message element (used while a response is streaming in)
      */
-    _addMessageToChat(text, type) {
-        if (!text) return;
+    _addMessageToChat(text, type, existingMessage = null) {
+        if (!text) return null;
         
         const chatContainer = this.box.querySelector('.chat-container');
+        
+        if (existingMessage) {
+            const shouldScroll = chatContainer.scrollHeight - chatContainer.scrollTop - chatContainer.clientHeight < 40;
+            existingMessage.querySelector('.message-content').textContent = text;
+            if (shouldScroll) {
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+            }
+            return existingMessage;
+        }
+        
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}`;
         
@@ -1172,19 +2261,151 @@ class AIHoverBox {
         
         // Scroll to bottom
         chatContainer.scrollTop = chatContainer.scrollHeight;
+        
+        return messageDiv;
+    }
+    
+    // One "🔧 name(args) → summary" line per tool call, above the answer it led to
+    _addToolStep(stepsDiv, answerMessage, call, result) {
+        const chatContainer = this.box.querySelector('.chat-container');
+        
+        if (!stepsDiv) {
+            stepsDiv = document.createElement('div');
+            stepsDiv.className = 'tool-steps';
+            if (answerMessage) {
+                chatContainer.insertBefore(stepsDiv, answerMessage);
+            } else {
+                chatContainer.appendChild(stepsDiv);
+            }
+        }
+        
+        const args = Object.entries(call.input || {})
+            .map(([name, value]) => `${name}: ${JSON.stringify(value)}`)
+            .join(', ');
+        const step = document.createElement('div');
+        step.className = result?.ok === false ? 'tool-step failed' : 'tool-step';
+        step.textContent = `🔧 ${call.name}(${args}) → ${result?.summary || result?.error || 'done'}`;
+        step.title = step.textContent;
+        stepsDiv.appendChild(step);
+        
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+        return stepsDiv;
+    }
+    
+    _providerLabel(providerId) {
+        return this.box.querySelector(`.model-selector option[value="${providerId}"]`)?.textContent || providerId;
     }
     
     /**
-     * Helper method to fetch API key from storage for validation
+     * One line per side of a hybrid fan-out ('merge' for the merging step),
+     * updated as it goes from pending to done or failed. Finished answers
+     * expand to show what that provider said.
      */
-    async _getApiKey(keyType) {
-        try {
-            const result = await chrome.storage.local.get([`${keyType}Key`]);
-            return result[`${keyType}Key`] || '';
-        } catch (error) {
-            console.error(`Error getting ${keyType} API key:`, error);
-            return '';
+    _addHybridStep(stepsDiv, { model, status, text = null, error = null }) {
+        const chatContainer = this.box.querySelector('.chat-container');
+        
+        if (!stepsDiv) {
+            stepsDiv = document.createElement('div');
+            stepsDiv.className = 'hybrid-steps';
+            chatContainer.appendChild(stepsDiv);
+        }
+        
+        let step = stepsDiv.querySelector(`[data-model="${model}"]`);
+        if (!step) {
+            step = document.createElement('details');
+            step.className = 'hybrid-step';
+            step.dataset.model = model;
+            step.appendChild(document.createElement('summary'));
+            stepsDiv.appendChild(step);
+        }
+        
+        const label = model === 'merge' ? 'Merging both answers' : this._providerLabel(model);
+        const statusText = {
+            pending: 'working...',
+            done: text ? 'done (click to read)' : 'done',
+            failed: `failed (${error?.code || error?.message || 'unknown error'})`
+        }[status];
+        step.classList.toggle('failed', status === 'failed');
+        step.querySelector('summary').textContent = `${model === 'merge' ? '⇄' : '⇉'} ${label}: ${statusText}`;
+        
+        if (text) {
+            const answer = document.createElement('div');
+            answer.className = 'hybrid-step-text';
+            answer.textContent = text;
+            step.appendChild(answer);
+        }
+        
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+        return stepsDiv;
+    }
+    
+    // Why Auto sent the question where it did
+    _addRoutingDecision(messageDiv, decision) {
+        if (!messageDiv || !decision) return;
+        
+        const target = decision.model === 'hybrid' ?
+            `Perplexity + ${this._providerLabel(this.aiService.delegationService.pickModel('claude'))}` :
+            this._providerLabel(decision.model);
+        const reasoningDiv = document.createElement('div');
+        reasoningDiv.className = 'message-reasoning';
+        reasoningDiv.textContent = `Auto → ${target}: ${decision.reasoning}`;
+        if (decision.category) {
+            const source = { cache: 'remembered', model: 'router model', keywords: 'keyword fallback' }[decision.source] || decision.source;
+            reasoningDiv.title = `${decision.category}, ${Math.round(decision.confidence * 100)}% confident (${source})`;
         }
+        messageDiv.appendChild(reasoningDiv);
+    }
+    
+    /**
+     * Label an assistant message with the provider that actually answered
+     */
+    _addRoutingTrace(messageDiv, trace) {
+        if (!messageDiv || !trace?.provider) return;
+        
+        const traceDiv = document.createElement('div');
+        traceDiv.className = 'message-trace';
+        
+        const parts = [`Answered by ${trace.providerLabel || trace.provider}`];
+        if (trace.model) {
+            parts.push(`(${trace.model})`);
+        }
+        if (trace.fallback) {
+            parts.push(`· requested ${trace.requestedModel}`);
+        }
+        if (trace.cached) {
+            parts.push('· cached');
+        }
+        traceDiv.textContent = parts.join(' ');
+        
+        // Providers passed over on the way, e.g. "Claude: RATE_LIMIT"
+        const tooltip = [];
+        if (trace.failover?.length > 0) {
+            tooltip.push('Failed over from ' + trace.failover
+                .map(step => `${step.providerLabel}: ${step.reason}`)
+                .join(', '));
+        }
+        if (trace.reasoning) {
+            tooltip.push(trace.reasoning);
+        }
+        if (trace.budget?.pageTokensSent < trace.budget?.pageTokens) {
+            tooltip.push(`Page text condensed to fit the context window (~${trace.budget.pageTokensSent} of ~${trace.budget.pageTokens} tokens)`);
+        }
+        if (trace.budget?.historyTurnsDropped > 0) {
+            tooltip.push(`${trace.budget.historyTurnsDropped} earlier turn(s) left out to fit the context window`);
+        }
+        if (trace.resumed) {
+            tooltip.push('Sent again after the extension restarted');
+        }
+        if (trace.cached) {
+            tooltip.push(`Reused the answer from ${new Date(trace.cachedAt).toLocaleString()}`);
+        } else if (typeof trace.cost === 'number') {
+            tooltip.push(`Cost about $${trace.cost.toFixed(4)}`);
+        }
+        if (tooltip.length > 0) {
+            traceDiv.title = tooltip.join('\n');
+        }
+        
+        messageDiv.appendChild(traceDiv);
     }
     
     /**
@@ -1214,7 +2435,7 @@ class AIHoverBox {
                 creditsBadge.textContent = '-- credits';
             }
         } catch (error) {
-            console.error('Error updating credits display:', error);
+            Logger.error('Error updating credits display:', error);
         }
     }
     
@@ -1327,14 +2548,26 @@ class AIHoverBox {
                 },
                 (error) => {
                     // Error callback
-                    console.error('Voice input error:', error);
+                    Logger.error('Voice input error:', error);
                     micBtn.classList.remove('recording');
-                    this._addMessageToChat(`Voice input error: ${error.message}`, 'error');
+                    this._addVoiceError(error);
                 }
             );
         } catch (error) {
-            console.error('Voice input error:', error);
+            Logger.error('Voice input error:', error);
             micBtn.classList.remove('recording');
+            this._addVoiceError(error);
+        }
+    }
+    
+    /**
+     * Typed errors from the background (bad key, Whisper outage) get the same
+     * treatment as query errors; microphone errors stay plain
+     */
+    _addVoiceError(error) {
+        if (error instanceof AIError) {
+            this._addErrorMessage(error);
+        } else {
             this._addMessageToChat(`Voice input error: ${error.message}`, 'error');
         }
     }
@@ -1354,7 +2587,7 @@ class AIHoverBox {
                 throw new Error('Speech synthesis failed');
             }
         } catch (error) {
-            console.error('Text-to-speech error:', error);
+            Logger.error('Text-to-speech error:', error);
             this._addMessageToChat(`Text-to-speech error: ${error.message}`, 'error');
         }
     }
@@ -1364,7 +2597,7 @@ class AIHoverBox {
      */
     _initVoiceActivation() {
         if (!this.voiceService || !this.voiceService.isSupported()) {
-            console.warn('Voice activation not supported on this browser');
+            Logger.warn('Voice activation not supported on this browser');
             return;
         }
         
@@ -1486,7 +2719,9 @@ class AIHoverBox {
                 // Plain text format
                 messages.forEach(msg => {
                     const timestamp = msg.querySelector('.message-timestamp').textContent;
-                    const content = msg.querySelector('.message-content').textContent;
+                    const content = msg.dataset.structured ?
+                        JSON.stringify(JSON.parse(msg.dataset.structured), null, 2) :
+                        msg.querySelector('.message-content').textContent;
                     const type = msg.classList.contains('user') ? 'User' : 'Assistant';
                     
                     output += `[${timestamp}] ${type}: ${content}\n\n`;
@@ -1498,11 +2733,18 @@ class AIHoverBox {
                     const content = msg.querySelector('.message-content').textContent;
                     const type = msg.classList.contains('user') ? 'user' : 'assistant';
                     
-                    return {
+                    const entry = {
                         timestamp,
                         type,
                         content
                     };
+                    if (msg.dataset.citations) {
+                        entry.citations = JSON.parse(msg.dataset.citations);
+                    }
+                    if (msg.dataset.structured) {
+                        entry.data = JSON.parse(msg.dataset.structured);
+                    }
+                    return entry;
                 });
                 
                 output = JSON.stringify(jsonOutput, null, 2);
@@ -1518,7 +2760,7 @@ class AIHoverBox {
             
             URL.revokeObjectURL(url);
         } catch (error) {
-            console.error('Error exporting conversation:', error);
+            Logger.error('Error exporting conversation:', error);
             this._addMessageToChat(`Error exporting conversation: ${error.message}`, 'error');
         }
     }
@@ -1536,7 +2778,7 @@ class AIHoverBox {
                 }
             });
         } catch (error) {
-            console.warn('Failed to save position:', error);
+            Logger.warn('Failed to save position:', error);
         }
     }
     
@@ -1552,7 +2794,7 @@ class AIHoverBox {
                 }
             });
         } catch (error) {
-            console.warn('Failed to save size:', error);
+            Logger.warn('Failed to save size:', error);
         }
     }
     
@@ -1575,7 +2817,7 @@ class AIHoverBox {
                 }
             });
         } catch (error) {
-            console.warn('Failed to save preferences:', error);
+            Logger.warn('Failed to save preferences:', error);
         }
     }
     
@@ -1592,7 +2834,7 @@ class AIHoverBox {
                 }
             }
         } catch (error) {
-            console.warn('Failed to load saved size:', error);
+            Logger.warn('Failed to load saved size:', error);
         }
     }
     
@@ -1622,7 +2864,7 @@ class AIHoverBox {
                 }
             }
         } catch (error) {
-            console.warn('Failed to load preferences:', error);
+            Logger.warn('Failed to load preferences:', error);
         }
     }
     
@@ -1631,6 +2873,9 @@ class AIHoverBox {
      */
     async cleanup() {
         try {
+            // Navigating away or tearing down the box ends any pending query
+            this._cancelActiveRequest();
+            
             // Remove event listeners
             window.removeEventListener('resize', this._boundResizeHandler);
             window.removeEventListener('unload', this._boundUnloadHandler);
@@ -1654,7 +2899,7 @@ class AIHoverBox {
                     this.voiceService.cleanup();
                     this.voiceService = null;
                 } catch (e) {
-                    console.error('Error cleaning up voice service:', e);
+                    Logger.error('Error cleaning up voice service:', e);
                 }
             }
             
@@ -1666,9 +2911,9 @@ class AIHoverBox {
                 this.box = null;
             }
             
-            console.log('AIHoverBox cleanup completed');
+            Logger.info('AIHoverBox cleanup completed');
         } catch (error) {
-            console.error('Error during cleanup:', error);
+            Logger.error('Error during cleanup:', error);
         }
     }
 }
@@ -0,0 +1,168 @@
+// Typed errors shared by the background service worker (side-effect import)
+// and content scripts (classic script), so it attaches to globalThis.
+//
+// The background classifies every failed provider call into one of CODES and
+// sends { success: false, error, code, status, provider } back over the port.
+// Content scripts rebuild an AIError from that and use retryPolicy(code) to
+// decide whether trying again can help. RATE_LIMIT errors carry
+// retryAfterMs when the provider said how long to wait.
+if (!globalThis.AIError) {
+    globalThis.AIError = class AIError extends Error {
+        static get CODES() {
+            return {
+                AUTH: 'AUTH',
+                LOCKED: 'LOCKED',
+                RATE_LIMIT: 'RATE_LIMIT',
+                TIMEOUT: 'TIMEOUT',
+                NETWORK: 'NETWORK',
+                PROVIDER_5XX: 'PROVIDER_5XX',
+                CONTENT_FILTER: 'CONTENT_FILTER',
+                QUOTA: 'QUOTA',
+                SCHEMA: 'SCHEMA',
+                UNKNOWN: 'UNKNOWN'
+            };
+        }
+
+        // Longest provider-requested wait worth queueing for rather than failing
+        static get MAX_RETRY_WAIT_MS() {
+            return 60000;
+        }
+
+        constructor(code, message, { status = null, provider = null, retryAfterMs = null } = {}) {
+            super(message);
+            this.name = 'AIError';
+            this.code = AIError.CODES[code] || AIError.CODES.UNKNOWN;
+            this.status = status;
+            this.provider = provider;
+            this.retryAfterMs = retryAfterMs;
+        }
+
+        /**
+         * How many attempts a request failing with `code` deserves, and the
+         * base delay for exponential backoff between them. Bad or locked keys,
+         * exhausted quota and filtered content fail the same way every time;
+         * SCHEMA failures were already retried by the background.
+         */
+        static retryPolicy(code) {
+            switch (code) {
+                case AIError.CODES.AUTH:
+                case AIError.CODES.LOCKED:
+                case AIError.CODES.QUOTA:
+                case AIError.CODES.CONTENT_FILTER:
+                case AIError.CODES.SCHEMA:
+                    return { maxAttempts: 1, baseDelayMs: 0 };
+                case AIError.CODES.RATE_LIMIT:
+                    return { maxAttempts: 3, baseDelayMs: 4000 };
+                case AIError.CODES.PROVIDER_5XX:
+                    return { maxAttempts: 3, baseDelayMs: 2000 };
+                case AIError.CODES.NETWORK:
+                    return { maxAttempts: 3, baseDelayMs: 1000 };
+                case AIError.CODES.TIMEOUT:
+                    return { maxAttempts: 2, baseDelayMs: 1000 };
+                default:
+                    return { maxAttempts: 2, baseDelayMs: 1000 };
+            }
+        }
+
+        /**
+         * Classify a non-2xx provider response from its status and body.
+         * Providers disagree on status codes (Anthropic reports low credit as
+         * 400, OpenAI reports exhausted quota as 429), so the error type and
+         * message in the body are checked first.
+         */
+        static fromHttpResponse(status, bodyText = '', provider = null, retryAfterMs = null) {
+            let payload = null;
+            try {
+                payload = JSON.parse(bodyText);
+            } catch (parseError) {
+                // Plain-text error bodies are classified by status alone
+            }
+
+            const detail = payload?.error || payload || {};
+            const message = detail.message || bodyText || `HTTP ${status}`;
+            const code = AIError.classifyPayload(detail) || AIError.classifyStatus(status);
+
+            return new AIError(code, `(${status}) ${message}`, { status, provider, retryAfterMs });
+        }
+
+        /**
+         * Error objects carried inside a 200 response or a stream event
+         * (e.g. Anthropic's overloaded_error mid-stream).
+         */
+        static fromPayload(detail = {}, provider = null) {
+            const code = AIError.classifyPayload(detail) || AIError.CODES.UNKNOWN;
+            return new AIError(code, detail.message || 'Stream error', { provider });
+        }
+
+        static classifyPayload(detail) {
+            const type = `${detail.type || ''} ${detail.code || ''}`.toLowerCase();
+            const message = String(detail.message || '').toLowerCase();
+
+            if (/insufficient_quota|billing/.test(type) || /credit balance|quota|billing/.test(message)) {
+                return AIError.CODES.QUOTA;
+            }
+            if (/content_filter|content_policy|safety/.test(type) || /content (filter|policy)/.test(message)) {
+                return AIError.CODES.CONTENT_FILTER;
+            }
+            if (/authentication|permission|invalid_api_key/.test(type)) {
+                return AIError.CODES.AUTH;
+            }
+            if (/rate_limit/.test(type)) {
+                return AIError.CODES.RATE_LIMIT;
+            }
+            if (/overloaded|api_error|server_error/.test(type)) {
+                return AIError.CODES.PROVIDER_5XX;
+            }
+            return null;
+        }
+
+        static classifyStatus(status) {
+            if (status === 401 || status === 403) return AIError.CODES.AUTH;
+            if (status === 402) return AIError.CODES.QUOTA;
+            if (status === 408) return AIError.CODES.TIMEOUT;
+            if (status === 429) return AIError.CODES.RATE_LIMIT;
+            if (status >= 500) return AIError.CODES.PROVIDER_5XX;
+            return AIError.CODES.UNKNOWN;
+        }
+
+        /**
+         * Wrap anything thrown around a fetch: AbortError from our own
+         * timeout, TypeError from fetch when the host can't be reached.
+         */
+        static from(error, provider = null) {
+            if (error instanceof AIError) {
+                error.provider = error.provider || provider;
+                return error;
+            }
+            if (error?.name === 'AbortError') {
+                return new AIError(AIError.CODES.TIMEOUT, 'The provider did not respond in time', { provider });
+            }
+            if (error instanceof TypeError) {
+                return new AIError(AIError.CODES.NETWORK, `Network error: ${error.message}`, { provider });
+            }
+            return new AIError(AIError.CODES.UNKNOWN, error?.message || 'Unknown error', { provider });
+        }
+
+        /**
+         * Rebuild the error from a { success: false } background response
+         */
+        static fromResponse(response = {}) {
+            return new AIError(response.code, response.error || 'Request failed', {
+                status: response.status ?? null,
+                provider: response.provider ?? null,
+                retryAfterMs: response.retryAfterMs ?? null
+            });
+        }
+
+        toResponse() {
+            return {
+                success: false,
+                error: this.message,
+                code: this.code,
+                status: this.status,
+                provider: this.provider,
+                retryAfterMs: this.retryAfterMs
+            };
+        }
+    };
+}
@@ -1,9 +1,53 @@
 class AIService {
+    // Resends of a request whose port dropped because the background worker stopped
+    static get MAX_RESUMES() {
+        return 1;
+    }
+
+    // Per attempt, between stream updates
+    static get STREAM_TIMEOUT() {
+        return 30000;
+    }
+
+    // Per attempt, for a request that isn't streamed; longer than the
+    // background's own limit so its TIMEOUT answer arrives first
+    static get RESPONSE_TIMEOUT() {
+        return 125000;
+    }
+
+    // Routing answers are tiny; a router that is slow or down is skipped
+    static get ROUTER_TIMEOUT() {
+        return 10000;
+    }
+
+    static get ROUTER_SYSTEM_PROMPT() {
+        return `You are a query router for a browser assistant. Classify the user's query as one of:
+- page-grounded: answered from the web page the user is viewing
+- real-time: needs current information from the web (news, prices, opening hours, weather, events, places, people's current roles)
+- general: general knowledge, writing or reasoning that needs neither
+- hybrid: needs current web information and also deeper analysis of it
+Give your confidence from 0 to 1 and a one-sentence reason.`;
+    }
+
+    // What classifyQuery answers with (see ModelDelegationService.CATEGORIES)
+    static get ROUTER_SCHEMA() {
+        return {
+            type: 'object',
+            properties: {
+                category: { type: 'string', enum: ['page-grounded', 'real-time', 'general', 'hybrid'] },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                reasoning: { type: 'string' }
+            },
+            required: ['category', 'confidence', 'reasoning']
+        };
+    }
+
     constructor() {
         this.messageQueue = Promise.resolve();
         this.pendingRequests = new Map();
         this.memoryService = new window.MemoryService();
         this.delegationService = new window.ModelDelegationService(this);
+        this.queryHandler = new QueryHandler(this, this.delegationService);
         this.initPromise = this.initialize();
         this.requestTimeouts = new Map();
         this.stats = {
@@ -21,53 +65,53 @@ class AIService {
                 this.verifyAPIAccess()
             ]);
 
-            // Initialize delegation service
-            this.delegationService = new ModelDelegationService(this);
-
             return true;
         } catch (error) {
-            console.error('AI Service initialization failed:', error);
+            Logger.error('AI Service initialization failed:', error);
             return false;
         }
     }
 
     async verifyAPIAccess() {
-        // Verify API access and keys
-        const apis = ['claude', 'perplexity'];
-        console.log('Verifying API access for:', apis.join(', '));
+        // Any one usable provider is enough: a cloud key, or a keyless local endpoint
+        Logger.info('Verifying API access...');
         
-        const results = await Promise.all(
-            apis.map(api => this.testAPIAccess(api))
-        );
+        const response = await chrome.runtime.sendMessage({ action: 'listProviders' });
+        const providers = response?.providers || [];
+        this.availableProviders = providers
+            .filter(provider => provider.available)
+            .map(provider => provider.id);
+        // Without one, Auto routes by keywords alone
+        this.routerAvailable = providers.some(provider => provider.available && provider.router);
         
-        if (results.some(result => !result)) {
-            console.error('API access verification failed for one or more services');
-            throw new Error('API access verification failed. Please check your API keys.');
+        if (this.availableProviders.length === 0) {
+            Logger.error('API access verification failed: no provider is configured');
+            throw new Error('API access verification failed. Please check your API keys or configure a local endpoint.');
         }
         
-        console.log('API access verification successful for all services');
+        Logger.info('API access available for:', this.availableProviders.join(', '));
     }
 
     async testAPIAccess(api) {
         try {
             // Verify the API key is available through the background service
-            console.log(`Testing API access for ${api}...`);
+            Logger.info(`Testing API access for ${api}...`);
             
             const validationResult = await this.isApiKeyValid(api);
-            console.log(`API key validation for ${api}: ${validationResult ? 'Success' : 'Failed'}`);
+            Logger.info(`API key validation for ${api}: ${validationResult ? 'Success' : 'Failed'}`);
             
             return validationResult;
         } catch (error) {
-            console.error(`${api} API test failed:`, error);
+            Logger.error(`${api} API test failed:`, error);
             return false;
         }
     }
     
     async isApiKeyValid(model) {
-        console.log(`Validating API key for model: ${model}`);
+        Logger.info(`Validating API key for model: ${model}`);
         
         if (!model) {
-            console.error('Model parameter is required');
+            Logger.error('Model parameter is required');
             return false;
         }
         
@@ -80,138 +124,11 @@ class AIService {
             
             return response?.success === true;
         } catch (error) {
-            console.error(`API key validation failed for ${model}:`, error);
+            Logger.error(`API key validation failed for ${model}:`, error);
             return false;
         }
     }
 
-    async determineModelForQuery(prompt, context) {
-        const lowercasePrompt = prompt.toLowerCase().trim();
-    
-        // 1. Event lookup patterns - Check these first
-        const eventPatterns = [
-            /when is .* this year/i,
-            /lookup .* event/i,
-            /schedule for .*/i,
-            /dates? for .*/i,
-            /time[s]? for .*/i
-        ];
-    
-        if (eventPatterns.some(pattern => pattern.test(prompt))) {
-            return {
-                model: 'perplexity',
-                useWebpageContext: false,
-                reasoning: 'Event lookup query'
-            };
-        }
-    
-        // 2. Location detection - More flexible pattern
-        const locationPattern = /\b(?:in|at|near|around)\s+([A-Za-z\s]+(?:,\s*[A-Za-z\s]+)?)\b/i;
-        const hasLocation = locationPattern.test(prompt);
-    
-        // 3. Expanded real-time keywords
-        const realTimeKeywords = [
-            'recommend', 'pizza', 'restaurant', 'cafe', 'bar', 'food',
-            'near', 'open', 'current', 'today', 'weather', 'price',
-            'available', 'location', 'address', 'weekend', 'tonight', 
-            'event', 'happening', 'things to do', 'what\'s on', 
-            'activities', 'tomorrow', 'upcoming', 'this week', 
-            'next week', 'show', 'playing', 'screening', 'showing',
-            'hours', 'time', 'schedule', 'booking'
-        ];
-    
-        // 4. Keep existing event keywords for backward compatibility
-        const eventKeywords = [
-            'this weekend', 'tonight', 'today',
-            'things to do', 'activities', 'events',
-            'what\'s happening', 'going on'
-        ];
-    
-        // 5. Check for location + event keywords
-        if (hasLocation && eventKeywords.some(kw => lowercasePrompt.includes(kw))) {
-            return {
-                model: 'perplexity',
-                useWebpageContext: false,
-                reasoning: 'Query requires current local event information'
-            };
-        }
-    
-        // 6. Check for location + real-time keywords
-        if (hasLocation && realTimeKeywords.some(kw => lowercasePrompt.includes(kw.toLowerCase()))) {
-            return {
-                model: 'perplexity',
-                useWebpageContext: false,
-                reasoning: 'Query requires current local information'
-            };
-        }
-    
-        // 7. Handle standalone real-time queries
-        const hasRealTimeKeyword = realTimeKeywords.some(kw => 
-            lowercasePrompt.includes(kw.toLowerCase())
-        );
-    
-        if (hasRealTimeKeyword && 
-            !lowercasePrompt.startsWith('what is') && 
-            !lowercasePrompt.startsWith('how does')) {
-            return {
-                model: 'perplexity',
-                useWebpageContext: false,
-                reasoning: 'Real-time information query'
-            };
-        }
-    
-        // 8. Keep existing company info logic
-        const companyInfoPatterns = [
-            /who (?:runs|owns|started|founded|leads|manages|operates)/i,
-            /founder|ceo|owner|president|director/i,
-            /when (?:was|did).*(?:found|start|begin|establish)/i,
-            /company leadership|management team/i
-        ];
-    
-        const isCompanyInfoQuery = companyInfoPatterns.some(pattern => pattern.test(prompt));
-        
-        if (isCompanyInfoQuery && context?.visibleText) {
-            const relevance = this.calculateContextRelevance(prompt, context.visibleText);
-            if (relevance < 0.3) {
-                return {
-                    model: 'perplexity',
-                    useWebpageContext: false,
-                    reasoning: 'Company information query requiring external search'
-                };
-            }
-        }
-    
-        // 9. Check webpage-specific queries
-        if (this.isWebpageQuery(prompt)) {
-            return {
-                model: 'perplexity',
-                useWebpageContext: true,
-                reasoning: 'Query is about current webpage'
-            };
-        }
-    
-        // 10. Basic greeting check - only exact matches
-        const basicQueries = [
-            'hello', 'hi', 'hey', 'good morning', 'good afternoon', 
-            'good evening', 'help', 'what can you do'
-        ];
-        
-        if (basicQueries.includes(lowercasePrompt)) {
-            return {
-                model: 'claude',
-                useWebpageContext: false,
-                reasoning: 'Basic greeting'
-            };
-        }
-    
-        // Default to Claude
-        return {
-            model: 'claude',
-            useWebpageContext: false,
-            reasoning: 'General knowledge query'
-        };
-    }
-
     async processWebContext(context) {
         if (!context?.visibleText) return {};
     
@@ -249,63 +166,6 @@ class AIService {
         return `${friday.toLocaleDateString()} - ${sunday.toLocaleDateString()}`;
     }
 
-    isWebpageQuery(prompt) {
-    const lowercasePrompt = prompt.toLowerCase();
-    
-    // Explicit webpage references
-    const explicitTerms = [
-        'this page',
-        'this website',
-        'this site',
-        'this company',
-        'the page',
-        'the website',
-        'the company',
-        'this webpage'
-    ];
-    
-    // Contextual webpage references
-    const contextualTerms = [
-        'what does',
-        'tell me about',
-        'explain',
-        'describe'
-    ];
-    
-    return explicitTerms.some(term => lowercasePrompt.includes(term)) ||
-        (contextualTerms.some(term => lowercasePrompt.includes(term)) && 
-         lowercasePrompt.includes('this'));
-    }
-
-    getDefaultDecision(prompt) {
-        // Check for common real-time query indicators
-        const realTimeKeywords = [
-            'recommend', 'restaurant', 'near', 'open',
-            'current', 'today', 'weather', 'price',
-            'available', 'location', 'address'
-        ];
-        
-        const needsRealTime = realTimeKeywords.some(keyword => 
-            prompt.toLowerCase().includes(keyword)
-        );
-        
-        return {
-            model: needsRealTime ? 'perplexity' : 'claude',
-            useWebpageContext: false,
-            reasoning: 'Fallback decision based on query keywords'
-        };
-    }
-
-    validateModelDecision(modelDecision) {
-        try {
-            const decision = modelDecision.toLowerCase().trim();
-            return ['claude', 'perplexity'].includes(decision) ? decision : 'claude';
-        } catch (error) {
-            console.warn('Model validation error:', error);
-            return 'claude';
-        }
-    }
-
     async logModelDecision(data) {
         try {
             const decisions = await chrome.storage.local.get(['model_decisions']) || { model_decisions: [] };
@@ -318,29 +178,16 @@ class AIService {
 
             await chrome.storage.local.set({ model_decisions: decisions.model_decisions });
         } catch (error) {
-            console.error('Failed to log model decision:', error);
+            Logger.error('Failed to log model decision:', error);
         }
     }
 
     async logError(type, error) {
-        try {
-            const errors = await chrome.storage.local.get(['error_log']) || { error_log: [] };
-            errors.error_log.push({
-                type,
-                message: error.message,
-                stack: error.stack,
-                timestamp: new Date().toISOString()
-            });
-
-            // Keep last 100 errors
-            if (errors.error_log.length > 100) {
-                errors.error_log.shift();
-            }
-
-            await chrome.storage.local.set({ error_log: errors.error_log });
-        } catch (logError) {
-            console.error('Failed to log error:', logError);
-        }
+        await Logger.recordError({
+            type,
+            message: error.message,
+            stack: error.stack
+        });
     }
 
     getResponseStats() {
@@ -351,216 +198,96 @@ class AIService {
         };
     }
     
-    async preprocessWebpageContent(context) {
-        if (!context?.visibleText) return '';
-    
-        try {
-            // Clean and normalize text
-            let cleaned = context.visibleText
-                .replace(/\s+/g, ' ')
-                .replace(/[^\w\s.,?!-]/g, '')
-                .trim();
-    
-            // Limit length while preserving meaning
-            if (cleaned.length > 2000) {
-                const sentences = cleaned.match(/[^.!?]+[.!?]+/g) || [];
-                cleaned = sentences
-                    .slice(0, 10)
-                    .join(' ')
-                    .trim();
-                cleaned += '... [truncated]';
-            }
-    
-            return cleaned;
-    
-        } catch (error) {
-            console.error('Error preprocessing webpage content:', error);
-            return '';
-        }
+    /**
+     * The "Auto" model: the delegation service picks Perplexity, Claude or
+     * both (see ModelDelegationService.executeQuery for the options)
+     */
+    async queryAuto(prompt, context = {}, options = {}) {
+        await this.initPromise;
+        return this.queryHandler.handleQuery(prompt, context, options);
     }
 
-    async queryHybrid(prompt, context = {}, requestId) {
-        try {
-            // 1. First, get raw data from Perplexity
-            const perplexityPrompt = `${prompt}\nProvide detailed, factual information. Include specific details like names, addresses, ratings, and any relevant current data.`;
-            const perplexityResponse = await this.queryPerplexity(perplexityPrompt, context, requestId);
-    
-            if (!perplexityResponse?.text) {
-                return {
-                    text: "I couldn't retrieve real-time data, but here's my best answer based on what I know:\n\n" +
-                          await this.queryClaude(prompt, context, false).text,
-                    model: 'Claude (fallback)'
-                };
-            }            
-    
-            // 2. Then have Claude format and enhance the response
-            const formattingPrompt = `I have raw data about "${prompt}" that needs to be formatted into a clear, well-organized response. 
-    Here's the raw data:
-    ${perplexityResponse.text}
-    
-    Please format this information into a clear, helpful response that:
-    1. Organizes the information logically
-    2. Highlights the most relevant details
-    3. Makes it easy to understand and act on
-    4. Adds any relevant context or tips
-    
-    Format the response in a user-friendly way, but don't add any information that wasn't in the original data.`;
-    
-            const claudeResponse = await this.queryClaude(formattingPrompt, {}, false);
-    
-            return {
-                text: claudeResponse.text,
-                model: 'hybrid (Perplexity + Claude)',
-                originalData: perplexityResponse.text
-            };
-        } catch (error) {
-            console.error('Hybrid query error:', error);
-            throw error;
-        }
-    }
-
-    calculateContextRelevance(prompt, contextText) {
-        const promptWords = new Set(prompt.toLowerCase().split(/\W+/).filter(w => w.length > 3));
-        const contextWords = new Set(contextText.toLowerCase().slice(0, 1000).split(/\W+/).filter(w => w.length > 3));
-        
-        let matches = 0;
-        for (const word of promptWords) {
-            if (contextWords.has(word)) matches++;
-        }
-        
-        return matches / promptWords.size;
-    }
-
-    async optimizeQuery(prompt, targetModel) {
-        try {
-            // Different optimization prompts based on the model
-            const optimizationPrompt = targetModel === 'perplexity' ?
-                `Rewrite this query to get the best real-time information:
-    Original: "${prompt}"
-    
-    Make it explicitly ask for current, up-to-date information. Include:
-    1. Clear location details
-    2. Specific request for current/active businesses
-    3. Ask for important details like ratings, hours, contact info
-    4. Emphasize needing recent/verified information
-    
-    Respond with ONLY the rewritten query.` :
-                `Rewrite this query for analytical response:
-    Original: "${prompt}"
-    
-    Optimize for:
-    1. Clear analytical requirements
-    2. Specific format requests
-    3. Explicit constraints
-    4. Context requirements
-    
-    Respond with ONLY the rewritten query.`;
-    
-            const response = await this.queryClaude(optimizationPrompt, {}, true);
-            return response?.text?.trim() || prompt;
-        } catch (error) {
-            console.error('Query optimization failed:', error);
-            return prompt;
-        }
-    }
-
-    async queryByModel(prompt, context = {}, model = null) {
+    async queryByModel(prompt, context = {}, model = null, options = {}) {
         try {
             await this.initPromise;
             
+            // Without a model the router picks one (see ModelDelegationService)
+            if (!model) {
+                return await this.queryAuto(prompt, context, options);
+            }
+            
             // Process context first
             const processedContext = await this.processContext(context, prompt);
-            
-            // Determine model using local logic first
-            let modelToUse = 'claude'; // Default model
-            let finalPrompt = prompt;
     
             // Check for basic queries first (fast path)
             const basicQueries = ['hello', 'hi', 'hey', 'help'];
-            if (basicQueries.includes(prompt.toLowerCase().trim())) {
+            if (basicQueries.includes(prompt.toLowerCase().trim()) && !options.images?.length) {
+                const greeting = "Hi! I'm your AI assistant. How can I help you today?";
                 return {
-                    text: "Hi! I'm your AI assistant. How can I help you today?",
+                    text: greeting,
+                    rawText: greeting,
                     model: 'claude'
                 };
             }
-    
-            // Company/Organization Information Patterns
-            const companyInfoPatterns = [
-                /who (?:runs|owns|started|founded|leads|manages|operates)/i,
-                /founder|ceo|owner|president|director/i,
-                /when (?:was|did).*(?:found|start|begin|establish)/i,
-                /company leadership|management team/i,
-                /about the company|company information/i
-            ];
-    
-            const isCompanyInfoQuery = companyInfoPatterns.some(pattern => pattern.test(prompt));
-    
-            // If it's a company info query, use Perplexity to get current data
-            if (isCompanyInfoQuery) {
-                modelToUse = 'perplexity';
-                finalPrompt = `Find current, accurate information about: ${prompt}
-                When searching, focus on ${context.url || 'the company'}.
-                Include specific details about leadership, founding, and company structure.`;
-            }
-            // Check for webpage content analysis
-            else if (processedContext.useContext) {
-                finalPrompt = `Analyze this webpage content and answer the following question:
-    Content:
-    ${processedContext.contextString}
-    Question: ${prompt}
-    Provide a detailed response based only on the webpage content above.`;
-                modelToUse = 'claude';
-            } else {
-                // Real-time indicators check
-                const realTimeKeywords = [
-                    'current', 'now', 'today', 'tonight', 'weather',
-                    'open', 'hours', 'price', 'near', 'location',
-                    'restaurant', 'store', 'shop', 'movie', 'showing'
-                ];
-                
-                const hasLocation = /\b(?:in|at|near|around)\s+([A-Za-z\s]+(?:,\s*[A-Za-z\s]+)?)\b/i.test(prompt);
-                
-                if (hasLocation && realTimeKeywords.some(keyword => 
-                    prompt.toLowerCase().includes(keyword))) {
-                    modelToUse = 'perplexity';
-                    finalPrompt = `Find current, accurate information about: ${prompt}
-                    Include specific details like addresses, hours, ratings, and prices if applicable.`;
-                }
-            }
-    
-            console.debug('Query execution details:', {
+            
+            // The caller's choice (the hover box selector, or the delegation
+            // service with its own reasoning)
+            const modelToUse = model;
+            const reasoning = options.reasoning || 'Model selected by user';
+            // The router knows whether the question is about the page
+            const useContext = options.useContext ?? processedContext.useContext;
+    
+            Logger.debug('Query execution details:', {
                 model: modelToUse,
-                isCompanyQuery: isCompanyInfoQuery,
-                useContext: processedContext.useContext,
-                promptLength: finalPrompt.length
+                useContext,
+                promptLength: prompt.length
             });
     
             const queryMessage = {
-                action: 'queryAPI',
-                prompt: finalPrompt,
+                prompt,
+                model: modelToUse,
                 context: processedContext,
                 modelDecision: {
                     model: modelToUse,
+                    reasoning,
                     isHybrid: false,
-                    useContext: processedContext.useContext
-                }
+                    useContext
+                },
+                includeHistory: true,
+                onDelta: options.onDelta,
+                onWait: options.onWait,
+                onToolCall: options.onToolCall,
+                images: options.images,
+                cache: options.cache,
+                signal: options.signal
             };
     
             const response = await this.sendMessageWithRetry(queryMessage);
-            if (!response.success) {
-                throw new Error(`Query failed: ${response.error || 'Unknown error'}`);
+            
+            const responseText = response.data.content[0].text;
+            // Hybrid branches are stored once, as the merged answer
+            if (options.remember !== false) {
+                await this.memoryService.storeConversation(prompt, responseText, response.trace?.provider || modelToUse);
             }
     
             return {
-                text: this.formatResponse(response.data.content[0].text),
-                model: modelToUse
+                text: this.formatResponse(responseText),
+                // The model's own text, for merging and memory; `text` is for display
+                rawText: responseText,
+                model: response.trace?.provider || modelToUse,
+                trace: response.trace,
+                stopReason: response.stopReason,
+                truncated: !!response.truncated,
+                usage: response.usage,
+                citations: response.citations || [],
+                toolCalls: response.toolCalls || []
             };
     
         } catch (error) {
-            console.error('Query error:', error);
-            // Fallback to Claude for errors
-            if (!error.message.includes('Query failed')) {
-                return this.queryClaude(prompt, {}, false);
+            // Failover to other providers happens in the background, so by now
+            // every configured provider has had its chance
+            if (error.name !== 'AbortError') {
+                Logger.error('Query error:', error);
             }
             throw error;
         }
@@ -688,10 +415,10 @@ class AIService {
             };
         }
     
-        // Clean and prepare the context
+        // Clean and prepare the context; the background fits it to the
+        // model's context window
         const cleanContext = context.visibleText
             .replace(/\s+/g, ' ')
-            .slice(0, 5000)
             .trim();
     
         // Build rich context string with proper structure
@@ -717,104 +444,71 @@ class AIService {
         };
     }
 
-    async queryPerplexity(prompt, context = {}, requestId) {
-        try {
-            // Only process context if there is context and it's meant to be used
-            const shouldUseContext = Object.keys(context).length > 0;
-            const fullPrompt = shouldUseContext ?
-                `Question: ${prompt}\n\nRelevant webpage content: ${context.visibleText || ''}`
-                : prompt;
-    
-            const response = await this.sendMessageWithRetry({
-                action: 'queryAPI',
-                model: 'perplexity',
-                prompt: fullPrompt,
-                context: shouldUseContext ? context : {},
-                requestId: requestId
-            });
-    
-            if (!response?.success) {
-                throw new Error(response?.error || 'API request failed');
-            }
-    
-            const responseText = response.data?.content?.[0]?.text;
-            if (!responseText) {
-                throw new Error('Invalid API response format');
-            }
-    
-            await this.memoryService.storeConversation(prompt, responseText, 'perplexity');
-    
-            return {
-                text: responseText,
-                model: 'perplexity'
-            };
-        } catch (error) {
-            console.error('Perplexity API error:', error);
-            throw new Error(`Perplexity API error: ${error.message || 'Failed to fetch response'}`);
-        }
+    /**
+     * Structured output: pull data out of the page in the shape of a JSON
+     * schema. The background validates the answer and retries on schema
+     * violations, so `data` always matches the schema.
+     */
+    async queryStructured(prompt, context = {}, model = null, schema = null, options = {}) {
+        await this.initPromise;
+        
+        const processedContext = await this.processContext(context, prompt);
+        const modelToUse = model || 'claude';
+        
+        const response = await this.sendMessageWithRetry({
+            prompt,
+            model: modelToUse,
+            context: processedContext,
+            schema,
+            images: options.images,
+            cache: options.cache,
+            modelDecision: {
+                model: modelToUse,
+                reasoning: 'Structured extraction',
+                isHybrid: false,
+                useContext: true
+            },
+            onWait: options.onWait,
+            signal: options.signal
+        });
+        
+        return {
+            data: response.structured,
+            text: response.data.content[0].text,
+            model: response.trace?.provider || modelToUse,
+            trace: response.trace,
+            schemaAttempts: response.schemaAttempts,
+            truncated: !!response.truncated,
+            usage: response.usage
+        };
     }
-    
-    async queryClaude(prompt, context = {}, isRoutingQuery = false) {
-        try {
-            // First validate that the API key exists and is properly formatted
-            const isKeyValid = await this.isApiKeyValid('claude');
-            if (!isKeyValid) {
-                throw new Error('Claude API key is invalid or not set. Please check your API key in the extension settings.');
-            }
-            
-            // For routing queries, never use context
-            const shouldUseContext = !isRoutingQuery && Object.keys(context).length > 0;
-            
-            // Different system messages based on query type
-            const systemMessage = isRoutingQuery ? 
-                `You are a query router. Determine if this query needs real-time web information (PERPLEXITY) or can be answered with built-in knowledge (CLAUDE).` :
-                "You are a helpful AI assistant. Provide accurate, focused answers. If given webpage context, use it appropriately. Keep responses clear and direct.";
-    
-            const fullPrompt = shouldUseContext ?
-                `Webpage content: ${context.visibleText || ''}\n\nQuestion: ${prompt}` :
-                prompt;
-            
-            // Log the request details for debugging
-            console.log('Sending Claude API request with parameters:', {
-                model: 'claude',
-                hasContext: shouldUseContext,
-                promptLength: fullPrompt.length,
-                isRoutingQuery
-            });
-    
-            const response = await this.sendMessageWithRetry({
-                action: 'queryAPI',
-                model: 'claude',
-                prompt: fullPrompt,
-                context: shouldUseContext ? context : {},
-                requestId: Date.now().toString(),
-                system: systemMessage,
-                temperature: isRoutingQuery ? 0.1 : 0.7
-            });
-    
-            if (!response?.success) {
-                throw new Error(response?.error || 'API request failed');
-            }
-    
-            const responseText = response.data?.content?.[0]?.text;
-            if (!responseText) {
-                throw new Error('Invalid API response format');
-            }
-    
-            // Don't store routing queries in conversation history
-            if (!isRoutingQuery) {
-                await this.memoryService.storeConversation(prompt, responseText, 'claude');
-            }
-    
-            return {
-                text: responseText,
-                model: 'claude',
-                isRoutingQuery
-            };
-        } catch (error) {
-            console.error('Claude API error:', error);
-            throw error;
+
+    /**
+     * Ask the router model what a query needs. The background sends it to
+     * the first provider in the failover order that has a key and a
+     * routerModel. Only the page's title, URL and opening go along. Resolves
+     * to { category, confidence, reasoning }.
+     */
+    async classifyQuery(query, context = {}, { signal = null } = {}) {
+        if (!this.routerAvailable) {
+            throw new Error('No provider with a router model is configured');
         }
+        
+        const page = context.visibleText ?
+            `The user is viewing "${context.title || 'untitled'}" (${context.url || 'no URL'}), which begins:\n${context.visibleText.replace(/\s+/g, ' ').slice(0, 500)}` :
+            'The user is not viewing a page with text.';
+        const response = await this.sendMessageWithRetry({
+            prompt: `${page}\n\nQuery: ${query}`,
+            system: AIService.ROUTER_SYSTEM_PROMPT,
+            // Near-deterministic output
+            temperature: 0.1,
+            schema: AIService.ROUTER_SCHEMA,
+            routing: true,
+            // The router keeps its own decision cache
+            cache: false,
+            signal
+        }, 1, AIService.ROUTER_TIMEOUT);
+        return response.structured;
     }
     
     async getStoredConversations() { // <-- Ensure function is async
@@ -837,39 +531,72 @@ class AIService {
         await chrome.storage.local.set({ [key]: history });
     }
     
-    async sendMessageWithRetry(message, maxRetries = 3, timeout = 30000) {
-        console.debug('Sending message with context:', {
+    /**
+     * Earlier turns from this tab's session as user/assistant chat messages
+     */
+    async getConversationHistory() {
+        try {
+            const conversations = await this.memoryService.getConversationsBySession();
+            return conversations.flatMap(conversation => [
+                { role: 'user', content: conversation.message },
+                { role: 'assistant', content: conversation.response }
+            ]);
+        } catch (error) {
+            Logger.warn('Failed to load conversation history:', error);
+            return [];
+        }
+    }
+    
+    // Retries follow AIError.retryPolicy for the failure's code, capped at
+    // maxRetries attempts. Throws an AIError once attempts are used up.
+    // When the provider said how long to wait, the background queues the
+    // next attempt for that long (reporting it through message.onWait), so
+    // there is no local backoff on top.
+    async sendMessageWithRetry(message, maxRetries = 3, timeout = null) {
+        Logger.debug('Sending message with context:', {
             hasContext: !!message.context,
             contextLength: message.context?.contextString?.length,
             prompt: message.prompt.slice(0, 100) + '...'
         });
 
+        // Read history once so every retry sends the same turns
+        const history = message.includeHistory ? await this.getConversationHistory() : [];
+
+        const signal = message.signal || null;
+        const attemptTimeout = timeout ??
+            (typeof message.onDelta === 'function' ? AIService.STREAM_TIMEOUT : AIService.RESPONSE_TIMEOUT);
         let currentAttempt = 0;
         
         while (currentAttempt < maxRetries) {
             try {
-                // Pre-validate message
-                if (!message?.prompt) {
-                    throw new Error('Invalid message: prompt is required');
+                if (signal?.aborted) {
+                    throw this.createAbortError();
                 }
     
-                // Create formatted message
-                const formattedMessage = {
-                    action: 'queryAPI',
+                // Build the shared request envelope (validates the prompt)
+                const formattedMessage = window.RequestEnvelope.create({
                     prompt: message.prompt,
+                    model: message.model,
+                    system: message.system,
+                    temperature: message.temperature,
+                    history,
+                    context: this.sanitizeContext(message.context || {}),
+                    stream: typeof message.onDelta === 'function',
+                    tools: typeof message.onToolCall === 'function',
+                    images: message.images,
+                    schema: message.schema,
+                    cache: message.cache,
+                    routing: message.routing,
                     modelDecision: {
-                        model: message.model || message.modelDecision?.model || 'claude',
-                        isHybrid: message.isHybrid || message.modelDecision?.isHybrid || false,
-                        useContext: message.modelDecision?.useContext ?? true
+                        ...(message.modelDecision || {}),
+                        isHybrid: message.isHybrid || message.modelDecision?.isHybrid || false
                     },
-                    context: this.sanitizeContext(message.context || {}),
-                    timestamp: Date.now(),
-                    attempt: currentAttempt + 1,
-                    requestId: `${Date.now()}-${Math.random().toString(36).slice(2)}`
-                };
+                    requestId: message.requestId ? `${message.requestId}-${currentAttempt + 1}` : null,
+                    attempt: currentAttempt + 1
+                });
     
                 // Execute request
-                const response = await this.executeRequest(formattedMessage, timeout);
+                const response = await this.executeRequest(formattedMessage, attemptTimeout, message.onDelta, signal, message.onWait, message.onToolCall);
                 
                 // Track metrics
                 if (this.stats) {
@@ -880,53 +607,208 @@ class AIService {
                 return response;
     
             } catch (error) {
+                // Stop retrying as soon as the caller cancels
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                
+                const aiError = AIError.from(error, message.model);
+                const policy = AIError.retryPolicy(aiError.code);
+                
                 currentAttempt++;
-                console.debug(`Attempt ${currentAttempt} failed:`, error);
+                Logger.debug(`Attempt ${currentAttempt} failed [${aiError.code}]:`, error);
                 
-                if (currentAttempt === maxRetries) {
-                    // Return error message after all retries have failed
-                    return {
-                        success: true,
-                        data: {
-                            content: [{
-                                text: `Sorry, I encountered an error while trying to process your request: ${error.message}. Please check your API keys and try again.`
-                            }]
-                        }
-                    };
+                const tooLongToWait = aiError.retryAfterMs > AIError.MAX_RETRY_WAIT_MS;
+                if (tooLongToWait || currentAttempt >= Math.min(maxRetries, policy.maxAttempts)) {
+                    if (this.stats) {
+                        this.stats.errors++;
+                    }
+                    throw aiError;
+                }
+                
+                if (aiError.retryAfterMs !== null) {
+                    continue;
                 }
                 
-                // Exponential backoff
-                await new Promise(resolve => 
-                    setTimeout(resolve, Math.min(1000 * Math.pow(2, currentAttempt), 8000))
-                );
+                // Exponential backoff, cut short by cancellation
+                await new Promise((resolve, reject) => {
+                    const backoffId = setTimeout(() => {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve();
+                    }, Math.min(policy.baseDelayMs * Math.pow(2, currentAttempt - 1), 16000));
+                    const onAbort = () => {
+                        clearTimeout(backoffId);
+                        reject(this.createAbortError());
+                    };
+                    signal?.addEventListener('abort', onAbort, { once: true });
+                });
             }
         }
     }
 
-    async executeRequest(message, timeout) {
+    createAbortError() {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    // onToolCall({ id, name, input }) runs a page tool for the model and
+    // resolves to the result sent back to the background.
+    // The background only drops the port without a 'done' when its worker was
+    // stopped mid-request; the request is then sent again on a new port (up
+    // to MAX_RESUMES times) and fails with NETWORK after that.
+    async executeRequest(message, timeout, onDelta = null, signal = null, onWait = null, onToolCall = null) {
         return new Promise((resolve, reject) => {
-            const port = chrome.runtime.connect({ 
-                name: `ai-request-${Date.now()}` 
-            });
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
             
-            const timeoutId = setTimeout(() => {
+            // The same name on every resend lets the background match it up
+            const portName = `ai-request-${Date.now()}`;
+            let port = null;
+            let settled = false;
+            let resumes = 0;
+            
+            const settle = (callback, value) => {
+                settled = true;
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            
+            const startTimeout = (extraMs = 0) => setTimeout(() => {
+                settle(reject, new AIError(AIError.CODES.TIMEOUT, 'Request timeout'));
                 port.disconnect();
-                reject(new Error('Request timeout'));
-            }, timeout);
+            }, timeout + extraMs);
+            let timeoutId = startTimeout();
+            let streamedText = '';
+            // The worker that took the request (its 'started' message)
+            let workerId = null;
+            
+            // Tell the background to abort the fetch, then drop the port
+            const onAbort = () => {
+                settle(reject, this.createAbortError());
+                try {
+                    port.postMessage({ action: 'cancel', requestId: message.requestId });
+                    port.disconnect();
+                } catch (error) {
+                    Logger.debug('Port already closed while cancelling:', error);
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
     
-            port.onMessage.addListener((response) => {
+            const onMessage = (response) => {
+                if (settled) return;
+                
+                if (response.type === 'started') {
+                    workerId = response.workerId;
+                    return;
+                }
                 clearTimeout(timeoutId);
-                if (response.success) {
-                    resolve(response);
+
+                // Partial text from a streaming request; keep the request alive
+                if (response.type === 'delta') {
+                    streamedText += response.text || '';
+                    timeoutId = startTimeout();
+                    if (onDelta) {
+                        onDelta(streamedText);
+                    }
+                    return;
+                }
+                
+                // Held in the background's rate-limit queue; wait that long plus the usual timeout
+                if (response.type === 'wait') {
+                    timeoutId = startTimeout(response.waitMs);
+                    if (onWait) {
+                        onWait(response);
+                    }
+                    return;
+                }
+                
+                // Structured output is being retried after a schema violation
+                if (response.type === 'progress') {
+                    timeoutId = startTimeout();
+                    return;
+                }
+                
+                // The model wants a page tool run before it continues
+                if (response.type === 'tool_call') {
+                    timeoutId = startTimeout();
+                    const toolPort = port;
+                    Promise.resolve()
+                        .then(() => onToolCall ? onToolCall(response) : { error: 'Page tools are not available' })
+                        .catch(error => ({ error: error.message }))
+                        .then(result => {
+                            try {
+                                toolPort.postMessage({ action: 'tool_result', id: response.id, result });
+                            } catch (error) {
+                                Logger.debug('Port closed before tool result was sent:', error);
+                            }
+                        });
+                    return;
+                }
+
+                // Done; closing the port lets the background release it right away
+                port.disconnect();
+                if (response.cancelled) {
+                    settle(reject, this.createAbortError());
+                } else if (response.success) {
+                    settle(resolve, response);
                 } else {
-                    reject(new Error(response.error || 'Request failed'));
+                    settle(reject, AIError.fromResponse(response));
                 }
-            });
-    
-            port.postMessage(message);
+            };
+            
+            const onDisconnect = async () => {
+                if (settled) return;
+                clearTimeout(timeoutId);
+                
+                const restarted = resumes < AIService.MAX_RESUMES && await this.workerRestarted(workerId);
+                if (settled) return;
+                if (restarted) {
+                    resumes++;
+                    Logger.warn(`Background restarted during request ${message.requestId}; sending it again`);
+                    streamedText = '';
+                    workerId = null;
+                    timeoutId = startTimeout();
+                    connect();
+                    return;
+                }
+                
+                settle(reject, new AIError(
+                    AIError.CODES.NETWORK,
+                    'The extension background stopped during the request',
+                    { provider: message.model }
+                ));
+            };
+            
+            const connect = () => {
+                port = chrome.runtime.connect({ name: portName });
+                port.onMessage.addListener(onMessage);
+                port.onDisconnect.addListener(onDisconnect);
+                port.postMessage(message);
+            };
+            
+            connect();
         });
     }
     
+    /**
+     * Whether the background worker that took a request has since been
+     * replaced. A request it never acknowledged may not have reached it.
+     */
+    async workerRestarted(previousWorkerId) {
+        if (!previousWorkerId) return true;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getWorkerId' });
+            return response?.workerId !== previousWorkerId;
+        } catch (error) {
+            Logger.debug('Could not reach the background worker:', error);
+            return false;
+        }
+    }
+    
     // Helper method for context sanitization
     sanitizeContext(context) {
         if (!context || typeof context !== 'object') {
@@ -941,10 +823,10 @@ class AIService {
         
         // Ensure text fields are strings
         if (sanitized.visibleText) {
-            sanitized.visibleText = String(sanitized.visibleText).slice(0, 5000);
+            sanitized.visibleText = String(sanitized.visibleText);
         }
         if (sanitized.selectedText) {
-            sanitized.selectedText = String(sanitized.selectedText).slice(0, 1000);
+            sanitized.selectedText = String(sanitized.selectedText);
         }
         
         return sanitized;
@@ -960,46 +842,19 @@ class AIService {
     }
 }
 
+// Entry point for "Auto" queries. Each request already retries by its
+// error's policy (sendMessageWithRetry), so failures aren't retried here:
+// that would run a paid hybrid fan-out again.
 class QueryHandler {
     constructor(aiService, delegationService) {
         this.aiService = aiService;
         this.delegationService = delegationService;
-        this.retryLimit = 3;
-        this.retryDelay = 1000;
     }
 
-    async handleQuery(query, context = {}) {
-        let attempts = 0;
-        let lastError = null;
-
-        while (attempts < this.retryLimit) {
-            try {
-                // Optimize query
-                const optimizedQuery = await this.optimizeQuery(query);
-                
-                // Get model decision
-                const modelDecision = await this.delegationService.determineModelForQuery(optimizedQuery);
-                
-                // Execute query with appropriate model
-                const response = await this.delegationService.executeQuery(optimizedQuery, context);
-                
-                // Process and return response
-                return await this.processResponse(response, modelDecision);
-                
-            } catch (error) {
-                attempts++;
-                lastError = error;
-                
-                if (attempts < this.retryLimit) {
-                    await new Promise(resolve => 
-                        setTimeout(resolve, this.retryDelay * attempts)
-                    );
-                }
-            }
-        }
-
-        // If all retries failed, throw the last error
-        throw lastError;
+    async handleQuery(query, context = {}, options = {}) {
+        const optimizedQuery = await this.optimizeQuery(query);
+        const response = await this.delegationService.executeQuery(optimizedQuery, context, options);
+        return this.processResponse(response);
     }
 
     async optimizeQuery(query) {
@@ -1007,17 +862,17 @@ class QueryHandler {
         return query;
     }
 
-    async processResponse(response, modelDecision) {
+    processResponse(response) {
         if (!response?.text) {
             throw new Error('Invalid response format');
         }
 
         return {
-            text: response.text,
-            model: modelDecision.model,
+            ...response,
             metadata: {
+                ...response.metadata,
                 timestamp: Date.now(),
-                reasoning: modelDecision.reasoning
+                reasoning: response.metadata?.modelDecision?.reasoning || null
             }
         };
     }
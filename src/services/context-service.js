@@ -1,5 +1,11 @@
 if (!window.ContextService) {
     window.ContextService = class ContextService {
+        // Upper bound on captured page text, to keep messages to the background
+        // reasonable; the background decides how much of it each model gets
+        static get MAX_TEXT_LENGTH() {
+            return 200000;
+        }
+
         constructor() {
             // Basic configuration
             this.lastCapture = null;
@@ -80,11 +86,11 @@ if (!window.ContextService) {
         async captureContext() {
             try {
                 if (this.lastCapture && (Date.now() - this.lastCapture) < this.captureInterval) {
-                    console.debug('Returning cached context');
+                    Logger.debug('Returning cached context');
                     return this.cachedContext;
                 }
         
-                console.debug('Capturing new context');
+                Logger.debug('Capturing new context');
                 const context = {
                     url: window.location.href,
                     title: document.title,
@@ -93,10 +99,10 @@ if (!window.ContextService) {
                 };
         
                 const mainContent = await this.captureMainContent();
-                console.debug('Main content captured:', !!mainContent);
+                Logger.debug('Main content captured:', !!mainContent);
                 
                 const visibleContent = mainContent || await this.captureVisibleContent();
-                console.debug('Visible content captured:', !!visibleContent);
+                Logger.debug('Visible content captured:', !!visibleContent);
         
                 if (visibleContent) {
                     context.visibleText = this.processText(visibleContent);
@@ -106,7 +112,7 @@ if (!window.ContextService) {
                 this.lastCapture = Date.now();
                 this.cachedContext = context;
         
-                console.debug('Context captured:', {
+                Logger.debug('Context captured:', {
                     url: context.url,
                     title: context.title,
                     contentLength: context.visibleText?.length,
@@ -115,7 +121,7 @@ if (!window.ContextService) {
         
                 return context;
             } catch (error) {
-                console.error('Error capturing context:', error);
+                Logger.error('Error capturing context:', error);
                 return this.getFallbackContext();
             }
         }
@@ -135,12 +141,12 @@ if (!window.ContextService) {
             const contentParts = [];
             
             // Debug the content capture
-            console.debug('Starting content capture');
+            Logger.debug('Starting content capture');
             
             // Get main content first - important for websites
             const mainContent = await this.captureMainContent();
             if (mainContent) {
-                console.debug('Main content length:', mainContent.length);
+                Logger.debug('Main content length:', mainContent.length);
                 contentParts.push(mainContent);
             }
             
@@ -163,7 +169,7 @@ if (!window.ContextService) {
             }
             
             const content = contentParts.join('\n\n');
-            console.debug('Total captured content length:', content.length);
+            Logger.debug('Total captured content length:', content.length);
             return content;
         }
         
@@ -277,7 +283,7 @@ if (!window.ContextService) {
 
                 return content.join('\n\n') || 'Unable to capture Google Docs content. Please ensure you have edit access.';
             } catch (error) {
-                console.error('Error capturing Google Docs content:', error);
+                Logger.error('Error capturing Google Docs content:', error);
                 return 'Error accessing Google Docs content. Please check permissions.';
             }
         }
@@ -527,7 +533,7 @@ if (!window.ContextService) {
                 .replace(/\n\s*\n/g, '\n')  // Remove multiple newlines
                 .replace(/[^\S\n]+/g, ' ')  // Normalize spaces but keep newlines
                 .trim()
-                .slice(0, 5000);  // Capture more webpage content
+                .slice(0, ContextService.MAX_TEXT_LENGTH);
         }    
 
         isArticlePage() {
@@ -578,7 +584,7 @@ if (!window.ContextService) {
                 try {
                     return new Date(metaDate).toISOString();
                 } catch (e) {
-                    console.debug('Error parsing meta date:', e);
+                    Logger.debug('Error parsing meta date:', e);
                 }
             }
 
@@ -588,7 +594,7 @@ if (!window.ContextService) {
                 try {
                     return new Date(timeElement.getAttribute('datetime')).toISOString();
                 } catch (e) {
-                    console.debug('Error parsing time element:', e);
+                    Logger.debug('Error parsing time element:', e);
                 }
             }
 
@@ -607,7 +613,7 @@ if (!window.ContextService) {
                     try {
                         return new Date(element.textContent.trim()).toISOString();
                     } catch (e) {
-                        console.debug(`Error parsing date from ${selector}:`, e);
+                        Logger.debug(`Error parsing date from ${selector}:`, e);
                     }
                 }
             }
@@ -647,12 +653,201 @@ if (!window.ContextService) {
                     .replace(/[^\S\n]+/g, ' ') // Normalize spaces but keep newlines
                     .trim();
             } catch (error) {
-                console.debug('Error extracting text from Google Docs element:', error);
+                Logger.debug('Error extracting text from Google Docs element:', error);
                 return '';
             }
         }
 
+        // Page tools the model can call (src/background/page-tools.js). Each
+        // resolves to { ok, summary, data } or { ok: false, summary, error };
+        // summary is the short line shown in the chat's tool trace.
+        async runTool(name, input = {}) {
+            const tools = {
+                get_page_section: () => this.getPageSection(input.heading),
+                find_in_page: () => this.findInPage(input.query, input.max_results),
+                scroll_to: () => this.scrollToText(input.text),
+                highlight_text: () => this.highlightText(input.text),
+                get_selected_text: () => this.getSelectedTextForTool()
+            };
+
+            if (!tools[name]) {
+                return this.toolError(`Unknown tool: ${name}`);
+            }
+            try {
+                return tools[name]();
+            } catch (error) {
+                Logger.debug(`Page tool ${name} failed:`, error);
+                return this.toolError(error.message);
+            }
+        }
+
+        toolError(message) {
+            return { ok: false, summary: message, error: message };
+        }
+
+        // Visible text nodes of the page, leaving out the hover box itself
+        collectTextNodes() {
+            const walker = document.createTreeWalker(
+                document.body,
+                NodeFilter.SHOW_TEXT,
+                {
+                    acceptNode: (node) => {
+                        if (!node.textContent.trim() || node.parentElement?.closest('.ai-hover-box')) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        return this.shouldIgnoreNode(node) ?
+                            NodeFilter.FILTER_REJECT :
+                            NodeFilter.FILTER_ACCEPT;
+                    }
+                }
+            );
+
+            const nodes = [];
+            while (walker.nextNode()) {
+                nodes.push(walker.currentNode);
+            }
+            return nodes;
+        }
+
+        getPageSection(heading) {
+            const query = String(heading || '').trim().toLowerCase();
+            if (!query) return this.toolError('heading is required');
+
+            const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+                .filter(el => el.textContent.trim() && !el.closest('.ai-hover-box'));
+            const match = headings.find(el => el.textContent.trim().toLowerCase().includes(query));
+
+            if (!match) {
+                return {
+                    ok: false,
+                    summary: `No heading matching "${heading}"`,
+                    error: 'No matching heading',
+                    data: { headings: headings.slice(0, 50).map(el => el.textContent.trim()) }
+                };
+            }
+
+            // The section runs until the next heading of the same or a higher level
+            const level = Number(match.tagName[1]);
+            const next = headings
+                .slice(headings.indexOf(match) + 1)
+                .find(el => Number(el.tagName[1]) <= level);
+
+            const range = document.createRange();
+            range.setStartAfter(match);
+            if (next) {
+                range.setEndBefore(next);
+            } else {
+                range.setEndAfter(document.body.lastChild);
+            }
+
+            const text = range.toString().replace(/\s+/g, ' ').trim();
+            const title = match.textContent.trim();
+            return {
+                ok: true,
+                summary: `Read section "${title}" (${text.length} chars)`,
+                data: { heading: title, text: text.slice(0, 4000), truncated: text.length > 4000 }
+            };
+        }
+
+        findInPage(query, maxResults = 5) {
+            const needle = String(query || '').trim().toLowerCase();
+            if (!needle) return this.toolError('query is required');
+
+            const limit = Math.min(Math.max(Number(maxResults) || 5, 1), 20);
+            const text = this.collectTextNodes()
+                .map(node => node.textContent)
+                .join(' ')
+                .replace(/\s+/g, ' ');
+            const haystack = text.toLowerCase();
+
+            const snippets = [];
+            let total = 0;
+            let index = haystack.indexOf(needle);
+            while (index !== -1) {
+                total++;
+                if (snippets.length < limit) {
+                    const start = Math.max(0, index - 80);
+                    const end = Math.min(text.length, index + needle.length + 80);
+                    snippets.push(`${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`);
+                }
+                index = haystack.indexOf(needle, index + needle.length);
+            }
+
+            return {
+                ok: true,
+                summary: total ? `${total} match${total === 1 ? '' : 'es'} for "${query}"` : `No matches for "${query}"`,
+                data: { total, snippets }
+            };
+        }
+
+        scrollToText(text) {
+            const needle = String(text || '').trim().toLowerCase();
+            if (!needle) return this.toolError('text is required');
+
+            const node = this.collectTextNodes().find(n => n.textContent.toLowerCase().includes(needle));
+            if (!node) {
+                return { ok: false, summary: `"${text}" not found`, error: 'Text not found on the page' };
+            }
+
+            node.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return { ok: true, summary: `Scrolled to "${text}"`, data: { scrolled: true } };
+        }
+
+        // Wraps up to 20 matches in <mark class="ai-hover-highlight">,
+        // replacing the previous call's highlights
+        highlightText(text) {
+            const needle = String(text || '').trim();
+            if (!needle) return this.toolError('text is required');
+
+            this.clearHighlights();
+            const lower = needle.toLowerCase();
+            let count = 0;
+
+            for (let node of this.collectTextNodes()) {
+                let index = node.textContent.toLowerCase().indexOf(lower);
+                while (index !== -1 && count < 20) {
+                    const match = node.splitText(index);
+                    node = match.splitText(needle.length);
+
+                    const mark = document.createElement('mark');
+                    mark.className = 'ai-hover-highlight';
+                    match.parentNode.replaceChild(mark, match);
+                    mark.appendChild(match);
+                    count++;
+
+                    index = node.textContent.toLowerCase().indexOf(lower);
+                }
+                if (count >= 20) break;
+            }
+
+            document.querySelector('mark.ai-hover-highlight')
+                ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+            return count ?
+                { ok: true, summary: `Highlighted ${count} match${count === 1 ? '' : 'es'} of "${needle}"`, data: { count } } :
+                { ok: false, summary: `"${needle}" not found`, error: 'Text not found on the page' };
+        }
+
+        clearHighlights() {
+            document.querySelectorAll('mark.ai-hover-highlight').forEach(mark => {
+                const parent = mark.parentNode;
+                parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                parent.normalize();
+            });
+        }
+
+        getSelectedTextForTool() {
+            const text = window.getSelection()?.toString().trim() || '';
+            return {
+                ok: true,
+                summary: text ? `Read selection (${text.length} chars)` : 'Nothing is selected',
+                data: { text: text.slice(0, 4000) }
+            };
+        }
+
         cleanup() {
+            this.clearHighlights();
+
             // Disconnect mutation observer
             if (this.mutationObserver) {
                 this.mutationObserver.disconnect();
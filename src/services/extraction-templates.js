@@ -0,0 +1,156 @@
+// JSON schemas for structured output mode: built-in templates for common
+// extractions plus the ones users save from the hover box
+// (chrome.storage.local, keyed by name).
+if (!window.ExtractionTemplates) {
+    window.ExtractionTemplates = class ExtractionTemplates {
+        static get STORAGE_KEY() {
+            return 'extractionTemplates';
+        }
+
+        static get BUILT_IN() {
+            return [
+                {
+                    name: 'Product specs',
+                    prompt: 'Extract the product details and specifications from this page.',
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            brand: { type: ['string', 'null'] },
+                            price: { type: ['number', 'null'] },
+                            currency: { type: ['string', 'null'] },
+                            specs: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string' },
+                                        value: { type: 'string' }
+                                    },
+                                    required: ['name', 'value']
+                                }
+                            }
+                        },
+                        required: ['name', 'specs']
+                    }
+                },
+                {
+                    name: 'Contact info',
+                    prompt: 'Extract every person or organization with contact details on this page.',
+                    schema: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                role: { type: ['string', 'null'] },
+                                email: { type: ['string', 'null'] },
+                                phone: { type: ['string', 'null'] },
+                                address: { type: ['string', 'null'] }
+                            },
+                            required: ['name']
+                        }
+                    }
+                },
+                {
+                    name: 'Table rows',
+                    prompt: 'Extract the main table on this page as rows, one object per row keyed by column header.',
+                    schema: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            additionalProperties: { type: ['string', 'number', 'null'] }
+                        }
+                    }
+                }
+            ];
+        }
+
+        static async loadSaved() {
+            const result = await chrome.storage.local.get([ExtractionTemplates.STORAGE_KEY]);
+            return result[ExtractionTemplates.STORAGE_KEY] || [];
+        }
+
+        // Built-ins first; saved templates are marked so they can be deleted
+        static async list() {
+            const saved = await ExtractionTemplates.loadSaved();
+            return [
+                ...ExtractionTemplates.BUILT_IN,
+                ...saved.map(template => ({ ...template, saved: true }))
+            ];
+        }
+
+        /**
+         * Save a schema under a name, replacing a saved template of the same
+         * name. Built-in names are reserved.
+         */
+        static async save(name, schema, prompt = '') {
+            const trimmed = String(name || '').trim();
+            if (!trimmed) {
+                throw new Error('Template name is required');
+            }
+            if (ExtractionTemplates.BUILT_IN.some(template => template.name === trimmed)) {
+                throw new Error(`"${trimmed}" is a built-in template`);
+            }
+
+            const saved = (await ExtractionTemplates.loadSaved()).filter(template => template.name !== trimmed);
+            saved.push({ name: trimmed, prompt, schema });
+            await chrome.storage.local.set({ [ExtractionTemplates.STORAGE_KEY]: saved });
+        }
+
+        static async remove(name) {
+            const saved = (await ExtractionTemplates.loadSaved()).filter(template => template.name !== name);
+            await chrome.storage.local.set({ [ExtractionTemplates.STORAGE_KEY]: saved });
+        }
+
+        /**
+         * Rows and columns for showing a result as a table: an array of
+         * objects as is, an object holding one such array (after its other
+         * fields), or any other object as name/value pairs. Nested values
+         * become JSON text.
+         */
+        static toTable(data) {
+            const cell = value => value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? '';
+            const rowsFrom = items => {
+                const columns = [];
+                items.forEach(item => Object.keys(item).forEach(key => {
+                    if (!columns.includes(key)) columns.push(key);
+                }));
+                return { columns, rows: items.map(item => columns.map(column => cell(item[column]))) };
+            };
+            const isRowList = value => Array.isArray(value) && value.length > 0 &&
+                value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+            if (isRowList(data)) {
+                return rowsFrom(data);
+            }
+            if (Array.isArray(data)) {
+                return { columns: ['value'], rows: data.map(item => [cell(item)]) };
+            }
+            if (data && typeof data === 'object') {
+                const entries = Object.entries(data);
+                const lists = entries.filter(([, value]) => isRowList(value));
+                if (lists.length === 1 && entries.every(([, value]) => value === lists[0][1] || typeof value !== 'object' || value === null)) {
+                    // e.g. product specs: the list is the table, the rest its caption
+                    return {
+                        caption: entries
+                            .filter(([, value]) => value !== lists[0][1] && value !== null)
+                            .map(([key, value]) => `${key}: ${value}`)
+                            .join(' · '),
+                        ...rowsFrom(lists[0][1])
+                    };
+                }
+                return { columns: ['field', 'value'], rows: entries.map(([key, value]) => [key, cell(value)]) };
+            }
+            return { columns: ['value'], rows: [[cell(data)]] };
+        }
+
+        static toCsv({ columns, rows }) {
+            const escape = value => {
+                const text = String(value ?? '');
+                return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n');
+        }
+    };
+}
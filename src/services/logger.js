@@ -0,0 +1,147 @@
+// Central logger shared by the background service worker (side-effect
+// import), content scripts and the popup (classic scripts), so it attaches
+// to globalThis.
+//
+// Every argument is redacted before it reaches the console: anything that
+// looks like a credential (sk-..., pplx-..., Bearer tokens) is masked, in
+// strings, Error messages and stacks, and nested objects alike. The level is
+// set from the popup and stored as `logLevel` in chrome.storage.local; every
+// context picks up changes through storage.onChanged.
+if (!globalThis.Logger) {
+    globalThis.Logger = class Logger {
+        static get LEVELS() {
+            return { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+        }
+
+        static get DEFAULT_LEVEL() {
+            return 'warn';
+        }
+
+        static get STORAGE_KEY() {
+            return 'logLevel';
+        }
+
+        // Entries kept in the error_log storage key
+        static get MAX_ERROR_LOG() {
+            return 50;
+        }
+
+        static get PATTERNS() {
+            return [
+                [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, '$1 [redacted]'],
+                [/\bsk-[A-Za-z0-9_-]{6,}/g, 'sk-[redacted]'],
+                [/\bpplx-[A-Za-z0-9_-]{6,}/g, 'pplx-[redacted]'],
+                [/("?(?:x-api-key|api[_-]?key|authorization)"?\s*[:=]\s*"?)[^"\s,}]{8,}/gi, '$1[redacted]']
+            ];
+        }
+
+        static redactString(text) {
+            return Logger.PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+        }
+
+        /**
+         * Copy of a value with credentials masked. Errors become plain
+         * { name, message, stack } objects; depth and cycles are capped.
+         */
+        static redact(value, depth = 0, seen = new WeakSet()) {
+            if (typeof value === 'string') return Logger.redactString(value);
+            if (!value || typeof value !== 'object') return value;
+            if (seen.has(value)) return '[circular]';
+            if (depth > 5) return '[nested]';
+            seen.add(value);
+
+            if (value instanceof Error) {
+                const error = {
+                    name: value.name,
+                    message: Logger.redactString(value.message || ''),
+                    stack: value.stack ? Logger.redactString(value.stack) : undefined
+                };
+                if (value.code) error.code = value.code;
+                return error;
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => Logger.redact(item, depth + 1, seen));
+            }
+            // DOM nodes, ports and the like print fine as they are
+            if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+                return value;
+            }
+
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                copy[key] = Logger.redact(item, depth + 1, seen);
+            }
+            return copy;
+        }
+
+        static isEnabled(level) {
+            return Logger.LEVELS[level] >= Logger.LEVELS[Logger.level];
+        }
+
+        static write(level, method, args) {
+            if (!Logger.isEnabled(level)) return;
+            console[method](...args.map(arg => Logger.redact(arg)));
+        }
+
+        static debug(...args) {
+            Logger.write('debug', 'debug', args);
+        }
+
+        static info(...args) {
+            Logger.write('info', 'log', args);
+        }
+
+        static warn(...args) {
+            Logger.write('warn', 'warn', args);
+        }
+
+        static error(...args) {
+            Logger.write('error', 'error', args);
+        }
+
+        static async setLevel(level) {
+            if (!(level in Logger.LEVELS)) {
+                throw new Error(`Unknown log level: ${level}`);
+            }
+            Logger.level = level;
+            await chrome.storage.local.set({ [Logger.STORAGE_KEY]: level });
+        }
+
+        /**
+         * Append a redacted entry to the error_log list in storage, keeping
+         * the most recent MAX_ERROR_LOG
+         */
+        static async recordError(entry) {
+            try {
+                const result = await chrome.storage.local.get(['error_log']);
+                const errorLog = Array.isArray(result.error_log) ? result.error_log : [];
+                errorLog.push(Logger.redact({ timestamp: new Date().toISOString(), ...entry }));
+                await chrome.storage.local.set({ error_log: errorLog.slice(-Logger.MAX_ERROR_LOG) });
+            } catch (error) {
+                Logger.error('Failed to write error log:', error);
+            }
+        }
+
+        // Read the stored level and follow changes made from the popup
+        static init() {
+            Logger.level = Logger.DEFAULT_LEVEL;
+            if (!globalThis.chrome?.storage?.local) return;
+
+            chrome.storage.local.get([Logger.STORAGE_KEY])
+                .then(result => {
+                    if (result[Logger.STORAGE_KEY] in Logger.LEVELS) {
+                        Logger.level = result[Logger.STORAGE_KEY];
+                    }
+                })
+                .catch(() => {});
+            chrome.storage.onChanged.addListener((changes, area) => {
+                const change = changes[Logger.STORAGE_KEY];
+                if (area === 'local' && change?.newValue in Logger.LEVELS) {
+                    Logger.level = change.newValue;
+                }
+            });
+        }
+    };
+
+    globalThis.Logger.init();
+}
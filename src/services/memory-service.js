@@ -14,7 +14,7 @@ if (!window.MemoryService) {
             this.initialized = true;
             return true;
         } catch (error) {
-            console.error('Storage initialization failed:', error);
+            Logger.error('Storage initialization failed:', error);
             return false;
         }
     }
@@ -42,7 +42,7 @@ if (!window.MemoryService) {
 
     async storeConversation(message, response, model) {
         if (!message || !response) {
-            console.warn('Invalid message or response');
+            Logger.warn('Invalid message or response');
             return null;
         }
 
@@ -71,7 +71,7 @@ if (!window.MemoryService) {
                     [conversationKey]: conversations
                 }, () => {
                     if (chrome.runtime.lastError) {
-                        console.error('Storage error:', chrome.runtime.lastError);
+                        Logger.error('Storage error:', chrome.runtime.lastError);
                         resolve(null);
                     } else {
                         resolve(conversations);
@@ -119,7 +119,7 @@ if (!window.MemoryService) {
                 [conversationKey]: []
             }, () => {
                 if (chrome.runtime.lastError) {
-                    console.error('Clear error:', chrome.runtime.lastError);
+                    Logger.error('Clear error:', chrome.runtime.lastError);
                     resolve(false);
                 } else {
                     resolve(true);
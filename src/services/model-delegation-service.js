@@ -1,95 +1,230 @@
 if (!window.ModelDelegationService) {
     window.ModelDelegationService = class ModelDelegationService {
+        // What a query needs, and who answers it. 'page-grounded' and
+        // 'general' go to Claude, 'real-time' to Perplexity and 'hybrid' to both.
+        static get CATEGORIES() {
+            return {
+                'page-grounded': 'claude',
+                'real-time': 'perplexity',
+                'general': 'claude',
+                'hybrid': 'hybrid'
+            };
+        }
+
+        // Decisions below this confidence are used but not cached
+        static get MIN_CACHED_CONFIDENCE() {
+            return 0.6;
+        }
+
+        static get DECISION_CACHE_KEY() {
+            return 'routerDecisions';
+        }
+
+        static get DECISION_TTL() {
+            return 7 * 24 * 60 * 60 * 1000;
+        }
+
+        static get MAX_CACHED_DECISIONS() {
+            return 500;
+        }
+
         constructor(aiService) {
             this.aiService = aiService;
+            this.decisionCache = null; // normalized query -> decision, loaded on first use
             this.realTimeKeywords = [
-                'now', 'today', 'current', 'latest', 'near', 'live', 'breaking', 'this weekend',
-                'weather', 'traffic', 'price', 'available', 'open', 'schedule', 'events'
+                'now', 'today', 'tonight', 'tomorrow', 'current', 'latest', 'near', 'live', 'breaking',
+                'this weekend', 'this week', 'next week', 'upcoming', 'weather', 'traffic', 'price',
+                'available', 'open', 'hours', 'schedule', 'events', 'happening', 'things to do',
+                'restaurant', 'cafe', 'booking', 'showing', 'screening', 'news'
             ];
             this.analyticalKeywords = [
                 'explain', 'analyze', 'compare', 'historical', 'why', 'theory', 'break down',
                 'how does', 'what causes', 'implications', 'evaluate', 'assess'
             ];
+            this.pageTerms = [
+                'this page', 'this website', 'this site', 'this webpage', 'this article',
+                'this post', 'the page', 'the website', 'the article', 'summarize this'
+            ];
+            this.companyInfoPatterns = [
+                /who (?:runs|owns|started|founded|leads|manages|operates)/i,
+                /founder|ceo|owner|president|director/i,
+                /when (?:was|did).*(?:found|start|begin|establish)/i,
+                /company leadership|management team/i
+            ];
         }
 
-        async determineModelForQuery(query) {
-            const lowercaseQuery = query.toLowerCase();
-            
-            // Enhanced pattern detection
-            const realTimeScore = this.calculateKeywordScore(lowercaseQuery, this.realTimeKeywords);
-            const analyticalScore = this.calculateKeywordScore(lowercaseQuery, this.analyticalKeywords);
-            
-            // Hybrid detection thresholds
-            const HYBRID_THRESHOLD = 0.3;
-            const SINGLE_MODEL_THRESHOLD = 0.5;
+        /**
+         * The one router. Decisions come from the decision cache, then from
+         * a cheap model asked to classify the query (AIService.classifyQuery),
+         * then, when no router model is configured or reachable, from
+         * keyword scoring.
+         * Resolves to { model, category, confidence, reasoning, source }
+         * where source is 'cache', 'model' or 'keywords'.
+         */
+        async determineModelForQuery(query, context = {}, { signal = null } = {}) {
+            const hasPage = !!context.visibleText;
+            const key = `${hasPage ? 'page' : 'none'}:${query.trim().replace(/\s+/g, ' ').toLowerCase()}`;
 
-            // Determine model based on scores
-            if (realTimeScore > HYBRID_THRESHOLD && analyticalScore > HYBRID_THRESHOLD) {
-                return {
-                    model: 'hybrid',
-                    reasoning: 'Query requires both real-time data and analysis',
-                    scores: { realTime: realTimeScore, analytical: analyticalScore }
-                };
+            const cached = await this.getCachedDecision(key);
+            if (cached) {
+                return this.toDecision(cached.category, cached.confidence, cached.reasoning, 'cache');
             }
 
-            if (realTimeScore > SINGLE_MODEL_THRESHOLD) {
-                return {
-                    model: 'perplexity',
-                    reasoning: 'Query requires real-time data',
-                    scores: { realTime: realTimeScore, analytical: analyticalScore }
-                };
+            try {
+                const classification = await this.aiService.classifyQuery(query, context, { signal });
+                if (!ModelDelegationService.CATEGORIES[classification?.category]) {
+                    throw new Error(`Router answered with unknown category ${classification?.category}`);
+                }
+                const decision = this.toDecision(
+                    classification.category,
+                    classification.confidence,
+                    classification.reasoning,
+                    'model'
+                );
+                if (decision.confidence >= ModelDelegationService.MIN_CACHED_CONFIDENCE) {
+                    await this.cacheDecision(key, decision);
+                }
+                return decision;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                Logger.warn('Router model unavailable, using keyword routing:', error.message);
+                return this.keywordDecision(query, context);
             }
+        }
 
-            if (analyticalScore > SINGLE_MODEL_THRESHOLD) {
-                return {
-                    model: 'claude',
-                    reasoning: 'Query requires analytical processing',
-                    scores: { realTime: realTimeScore, analytical: analyticalScore }
-                };
+        toDecision(category, confidence, reasoning, source) {
+            const model = ModelDelegationService.CATEGORIES[category] || 'claude';
+            return {
+                model,
+                category,
+                confidence: Math.round(Math.min(1, Math.max(0, Number(confidence) || 0)) * 100) / 100,
+                reasoning,
+                source,
+                useContext: category === 'page-grounded'
+            };
+        }
+
+        async loadDecisionCache() {
+            if (!this.decisionCache) {
+                const stored = await chrome.storage.local.get(ModelDelegationService.DECISION_CACHE_KEY);
+                this.decisionCache = new Map(Object.entries(stored[ModelDelegationService.DECISION_CACHE_KEY] || {}));
             }
+            return this.decisionCache;
+        }
 
-            // Enhanced contextual analysis for ambiguous queries
-            const contextualDecision = this.analyzeQueryContext(query);
-            if (contextualDecision) {
-                return contextualDecision;
+        async getCachedDecision(key) {
+            try {
+                const cache = await this.loadDecisionCache();
+                const entry = cache.get(key);
+                if (entry && Date.now() - entry.at < ModelDelegationService.DECISION_TTL) {
+                    return entry;
+                }
+            } catch (error) {
+                Logger.warn('Failed to read cached routing decisions:', error);
             }
+            return null;
+        }
 
-            // Default to hybrid for complex queries
-            return {
-                model: 'hybrid',
-                reasoning: 'Complex query requiring comprehensive response',
-                scores: { realTime: realTimeScore, analytical: analyticalScore }
-            };
+        async cacheDecision(key, { category, confidence, reasoning }) {
+            try {
+                const cache = await this.loadDecisionCache();
+                cache.delete(key);
+                cache.set(key, { category, confidence, reasoning, at: Date.now() });
+                // Map order is insertion order, so the first keys are the oldest
+                for (const oldKey of cache.keys()) {
+                    if (cache.size <= ModelDelegationService.MAX_CACHED_DECISIONS) break;
+                    cache.delete(oldKey);
+                }
+                await chrome.storage.local.set({
+                    [ModelDelegationService.DECISION_CACHE_KEY]: Object.fromEntries(cache)
+                });
+            } catch (error) {
+                Logger.warn('Failed to cache routing decision:', error);
+            }
+        }
+
+        // Share of the question's longer words that appear near the top of the page
+        calculateContextRelevance(query, pageText) {
+            const queryWords = new Set(query.toLowerCase().split(/\W+/).filter(word => word.length > 3));
+            if (queryWords.size === 0) return 0;
+            const pageWords = new Set(pageText.toLowerCase().slice(0, 1000).split(/\W+/).filter(word => word.length > 3));
+
+            let matches = 0;
+            for (const word of queryWords) {
+                if (pageWords.has(word)) matches++;
+            }
+            return matches / queryWords.size;
         }
 
         calculateKeywordScore(query, keywords) {
-            const matches = keywords.filter(keyword => query.includes(keyword));
-            return matches.length / Math.max(query.split(' ').length, 1);
+            const matches = keywords.filter(keyword => query.includes(keyword)).length;
+            return Math.min(0.9, matches * 0.35);
         }
 
-        analyzeQueryContext(query) {
-            // Location-based queries
-            if (/\b(?:in|at|near|around)\s+([A-Za-z\s]+(?:,\s*[A-Za-z\s]+)?)\b/i.test(query)) {
-                return {
-                    model: 'perplexity',
-                    reasoning: 'Location-based query requiring current data'
-                };
+        /**
+         * Offline routing: each category gets a 0-1 score from keywords and
+         * patterns, and the best one wins, its score becoming the confidence
+         */
+        keywordDecision(query, context = {}) {
+            const lowercaseQuery = query.toLowerCase().trim();
+            const pageText = context.visibleText || '';
+            const decide = (category, confidence, reasoning) =>
+                this.toDecision(category, confidence, reasoning, 'keywords');
+
+            let realTimeScore = this.calculateKeywordScore(lowercaseQuery, this.realTimeKeywords);
+            const analyticalScore = this.calculateKeywordScore(lowercaseQuery, this.analyticalKeywords);
+
+            // "in Boston", "near me": local questions need live results
+            if (realTimeScore > 0 && /\b(?:in|at|near|around)\s+[A-Za-z]/i.test(query)) {
+                realTimeScore = Math.min(0.9, realTimeScore + 0.3);
+            }
+            // Definitions mention "current" or "price" without needing today's data
+            if (/^(?:what is|how does)\b/.test(lowercaseQuery)) {
+                realTimeScore = Math.max(0, realTimeScore - 0.2);
             }
 
-            // Time-sensitive queries
-            if (/\b(?:when|time|schedule|hours|open|closes?|available)\b/i.test(query)) {
-                return {
-                    model: 'perplexity',
-                    reasoning: 'Time-sensitive query requiring current data'
-                };
+            if (pageText) {
+                if (this.pageTerms.some(term => lowercaseQuery.includes(term))) {
+                    return decide('page-grounded', 0.9, 'Query refers to the current page');
+                }
+                if (/\b(?:this|here)\b/.test(lowercaseQuery) && realTimeScore < 0.35) {
+                    return decide('page-grounded', 0.6, 'Query points at something on the page');
+                }
             }
 
-            return null;
+            // Who runs a company: the page if it says so, otherwise a live search
+            if (this.companyInfoPatterns.some(pattern => pattern.test(query))) {
+                return pageText && this.calculateContextRelevance(query, pageText) >= 0.3 ?
+                    decide('page-grounded', 0.6, 'Company information the page covers') :
+                    decide('real-time', 0.6, 'Company information query requiring current data');
+            }
+
+            if (realTimeScore >= 0.35 && analyticalScore >= 0.35) {
+                return decide('hybrid', Math.min(realTimeScore, analyticalScore), 'Query requires both real-time data and analysis');
+            }
+            if (realTimeScore >= 0.35) {
+                return decide('real-time', realTimeScore, 'Query requires real-time data');
+            }
+            if (analyticalScore >= 0.35) {
+                return decide('general', analyticalScore, 'Query requires analytical processing');
+            }
+            return decide('general', 0.4, 'General knowledge query');
+        }
+
+        /**
+         * Pick `preferred` when it has a key, otherwise the first usable
+         * provider that isn't Perplexity (it can't read images or run tools)
+         */
+        pickModel(preferred) {
+            const available = this.aiService.availableProviders || [];
+            if (available.includes(preferred)) return preferred;
+            return available.find(id => id !== 'perplexity') || available[0] || preferred;
         }
 
-        async processHybridResponse(perplexityResponse, claudeResponse) {
+        // Merge both answers with the analysis model, streaming through onDelta
+        async processHybridResponse(query, perplexityResponse, claudeResponse, options = {}) {
             const enhancementPrompt = `
-            I have two responses to merge and enhance:
+            I have two answers to the question "${query}" to merge and enhance:
 
             Real-time Data:
             ${perplexityResponse}
@@ -103,6 +238,7 @@ if (!window.ModelDelegationService) {
             3. Presents a clear, logical flow of information
             4. Adds any missing context
             5. Ensures consistent formatting
+            6. Keeps the numbered source markers such as [1] next to the facts they support
 
             Format the response to be highly readable with:
             - Clear section headings
@@ -111,54 +247,123 @@ if (!window.ModelDelegationService) {
             - Bold text for important information
             `;
 
-            const enhancedResponse = await this.aiService.queryClaude(enhancementPrompt, {});
-            return enhancedResponse;
+            return this.aiService.queryByModel(enhancementPrompt, {}, this.pickModel('claude'), {
+                signal: options.signal,
+                cache: options.cache,
+                onDelta: options.onDelta,
+                onWait: options.onWait,
+                reasoning: 'Merging the real-time and analysis answers',
+                remember: false
+            });
         }
 
-        async executeQuery(query, context = {}) {
+        /**
+         * Route the query and answer it. Besides the queryByModel options
+         * (signal, images, cache, onDelta, onWait, onToolCall) the caller can
+         * follow along with onDecision(modelDecision), onBranch({ model,
+         * status: 'pending' | 'done' | 'failed', text, error }) for each
+         * side of a hybrid fan-out, and onMerge() once both are in.
+         */
+        async executeQuery(query, context = {}, options = {}) {
             try {
-                const modelDecision = await this.determineModelForQuery(query);
-                
+                let modelDecision = await this.determineModelForQuery(query, context, { signal: options.signal });
+                const available = this.aiService.availableProviders || [];
+
+                // Perplexity can't read images, and a hybrid needs both sides
+                if (options.images?.length > 0 && modelDecision.model !== 'claude') {
+                    modelDecision = { ...modelDecision, model: 'claude', reasoning: 'Images need a model that can read them' };
+                } else if (modelDecision.model !== 'claude' && !available.includes('perplexity')) {
+                    modelDecision = { ...modelDecision, model: 'claude', reasoning: `${modelDecision.reasoning} (no Perplexity key, answering without live data)` };
+                }
+                options.onDecision?.(modelDecision);
+
                 if (modelDecision.model === 'hybrid') {
-                    // Execute parallel queries for efficiency
-                    const [perplexityResponse, claudeResponse] = await Promise.all([
-                        this.aiService.queryPerplexity(query, context),
-                        this.aiService.queryClaude(query, context)
-                    ]);
-
-                    // Merge and enhance responses
-                    const enhancedResponse = await this.processHybridResponse(
-                        perplexityResponse.text,
-                        claudeResponse.text
-                    );
-
-                    return {
-                        text: enhancedResponse.text,
-                        model: 'hybrid',
-                        metadata: {
-                            perplexityResponse,
-                            claudeResponse,
-                            modelDecision
-                        }
-                    };
+                    return await this.executeHybrid(query, context, modelDecision, options);
                 }
 
                 // Single model execution
-                const handler = modelDecision.model === 'perplexity' ?
-                    this.aiService.queryPerplexity.bind(this.aiService) :
-                    this.aiService.queryClaude.bind(this.aiService);
-
-                const response = await handler(query, context);
+                const response = await this.aiService.queryByModel(
+                    query,
+                    context,
+                    this.pickModel(modelDecision.model),
+                    { ...options, reasoning: modelDecision.reasoning, useContext: modelDecision.useContext }
+                );
                 return {
-                    text: response.text,
-                    model: modelDecision.model,
+                    ...response,
                     metadata: { modelDecision }
                 };
 
             } catch (error) {
-                console.error('Query execution error:', error);
+                if (error.name !== 'AbortError') {
+                    Logger.error('Query execution error:', error);
+                }
                 throw error;
             }
         }
+
+        // Perplexity and the analysis model answer in parallel, then one merges
+        // both. If one side fails the other's answer is used as it is.
+        async executeHybrid(query, context, modelDecision, options) {
+            const branchOptions = {
+                signal: options.signal,
+                cache: options.cache,
+                onWait: options.onWait,
+                reasoning: modelDecision.reasoning,
+                remember: false
+            };
+            const runBranch = async (model) => {
+                options.onBranch?.({ model, status: 'pending' });
+                try {
+                    const response = await this.aiService.queryByModel(query, context, model, branchOptions);
+                    options.onBranch?.({ model, status: 'done', text: response.text, trace: response.trace });
+                    return response;
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        options.onBranch?.({ model, status: 'failed', error });
+                    }
+                    throw error;
+                }
+            };
+
+            const analysisModel = this.pickModel('claude');
+            const [perplexityResult, claudeResult] = await Promise.allSettled([
+                runBranch('perplexity'),
+                runBranch(analysisModel)
+            ]);
+            const aborted = [perplexityResult, claudeResult]
+                .find(result => result.status === 'rejected' && result.reason?.name === 'AbortError');
+            if (aborted) throw aborted.reason;
+
+            const perplexityResponse = perplexityResult.value;
+            const claudeResponse = claudeResult.value;
+            const branches = [
+                { model: 'perplexity', response: perplexityResponse, error: perplexityResult.reason },
+                { model: analysisModel, response: claudeResponse, error: claudeResult.reason }
+            ];
+
+            let response;
+            if (perplexityResponse && claudeResponse) {
+                options.onMerge?.();
+                response = await this.processHybridResponse(
+                    query,
+                    perplexityResponse.rawText,
+                    claudeResponse.rawText,
+                    options
+                );
+            } else if (perplexityResponse || claudeResponse) {
+                response = perplexityResponse || claudeResponse;
+            } else {
+                throw perplexityResult.reason;
+            }
+
+            await this.aiService.memoryService.storeConversation(query, response.rawText, 'hybrid');
+
+            return {
+                ...response,
+                model: 'hybrid',
+                citations: perplexityResponse?.citations || [],
+                metadata: { modelDecision, branches }
+            };
+        }
     };
 }
\ No newline at end of file
@@ -0,0 +1,141 @@
+// Shared between content scripts (classic script) and the background
+// service worker (side-effect import), so it attaches to globalThis.
+if (!globalThis.RequestEnvelope) {
+    globalThis.RequestEnvelope = class RequestEnvelope {
+        static get DEFAULT_MODEL() {
+            return 'claude';
+        }
+
+        /**
+         * Build the message a content script posts to the background for a query.
+         * `model` is the provider that should answer; `system` and `temperature`
+         * are optional overrides for that provider's defaults. `tools` lets the
+         * model call page tools that the caller runs in the page. `images` are
+         * { mediaType, data } screenshots or page images in base64. A JSON
+         * `schema` switches to structured output. `cache: false` asks the
+         * model again instead of answering from the response cache.
+         * `routing` marks the router's classification request, which goes to
+         * the provider's cheaper routerModel.
+         */
+        static create({
+            prompt,
+            model = null,
+            system = null,
+            temperature = null,
+            history = [],
+            context = {},
+            stream = false,
+            tools = false,
+            images = [],
+            schema = null,
+            cache = true,
+            routing = false,
+            modelDecision = {},
+            requestId = null,
+            attempt = 1
+        } = {}) {
+            if (!prompt || typeof prompt !== 'string') {
+                throw new Error('Invalid message: prompt is required');
+            }
+
+            const resolvedModel = model || modelDecision.model || RequestEnvelope.DEFAULT_MODEL;
+
+            return {
+                action: 'queryAPI',
+                requestId: requestId || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+                prompt,
+                model: resolvedModel,
+                system: system || null,
+                temperature: RequestEnvelope.normalizeTemperature(temperature),
+                history: RequestEnvelope.normalizeHistory(history),
+                context: context || {},
+                stream: !!stream,
+                tools: !!tools,
+                images: RequestEnvelope.normalizeImages(images),
+                schema: RequestEnvelope.normalizeSchema(schema),
+                cache: cache !== false,
+                routing: !!routing,
+                modelDecision: {
+                    model: resolvedModel,
+                    reasoning: modelDecision.reasoning || null,
+                    isHybrid: !!modelDecision.isHybrid,
+                    useContext: modelDecision.useContext ?? true
+                },
+                timestamp: Date.now(),
+                attempt
+            };
+        }
+
+        /**
+         * Read an incoming message in the background, accepting older shapes
+         * that only carried the model inside modelDecision.
+         */
+        static normalize(message = {}) {
+            const model = message.model || message.modelDecision?.model || RequestEnvelope.DEFAULT_MODEL;
+
+            return {
+                ...message,
+                model: String(model).toLowerCase(),
+                system: typeof message.system === 'string' && message.system.trim() ? message.system : null,
+                temperature: RequestEnvelope.normalizeTemperature(message.temperature),
+                history: RequestEnvelope.normalizeHistory(message.history),
+                context: message.context || {},
+                tools: !!message.tools,
+                images: RequestEnvelope.normalizeImages(message.images),
+                schema: RequestEnvelope.normalizeSchema(message.schema),
+                cache: message.cache !== false,
+                routing: !!message.routing,
+                modelDecision: {
+                    ...(message.modelDecision || {}),
+                    model
+                }
+            };
+        }
+
+        /**
+         * Earlier turns as chat messages, oldest first. Only complete
+         * user/assistant pairs are kept so providers that require strict
+         * alternation (Claude) accept them.
+         */
+        static normalizeHistory(history) {
+            if (!Array.isArray(history)) return [];
+
+            const turns = [];
+            for (let i = 0; i + 1 < history.length; i += 2) {
+                const user = history[i];
+                const assistant = history[i + 1];
+                if (user?.role === 'user' && assistant?.role === 'assistant' &&
+                    typeof user.content === 'string' && typeof assistant.content === 'string') {
+                    turns.push(
+                        { role: 'user', content: user.content },
+                        { role: 'assistant', content: assistant.content }
+                    );
+                }
+            }
+            return turns;
+        }
+
+        static normalizeImages(images) {
+            if (!Array.isArray(images)) return [];
+
+            return images
+                .filter(image => typeof image?.mediaType === 'string' &&
+                    image.mediaType.startsWith('image/') &&
+                    typeof image.data === 'string' && image.data)
+                .map(image => ({ mediaType: image.mediaType, data: image.data }));
+        }
+
+        // Only plain objects; the background checks the schema is usable
+        static normalizeSchema(schema) {
+            return schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null;
+        }
+
+        static normalizeTemperature(value) {
+            const temperature = Number(value);
+            if (value === null || value === undefined || value === '' || Number.isNaN(temperature)) {
+                return null;
+            }
+            return Math.min(2, Math.max(0, temperature));
+        }
+    };
+}
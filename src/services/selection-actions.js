@@ -0,0 +1,65 @@
+// Actions offered for selected text, shared by the background (context menu
+// entries, side-effect import) and the hover box (action buttons and prompt
+// templates), so it attaches to globalThis.
+if (!globalThis.SelectionActions) {
+    globalThis.SelectionActions = class SelectionActions {
+        /**
+         * `prompt` is the instruction sent after the quoted selection;
+         * `preferredModel` is used when that provider is available.
+         */
+        static get ACTIONS() {
+            return [
+                {
+                    id: 'explain',
+                    label: 'Explain',
+                    prompt: 'Explain the quoted text in plain language. Define any terms a non-expert might not know.'
+                },
+                {
+                    id: 'summarize',
+                    label: 'Summarize',
+                    prompt: 'Summarize the quoted text in a few short bullet points.'
+                },
+                {
+                    id: 'translate',
+                    label: 'Translate',
+                    prompt: 'Translate the quoted text into {language}. Keep the original formatting and tone.'
+                },
+                {
+                    id: 'rewrite',
+                    label: 'Rewrite',
+                    prompt: 'Rewrite the quoted text so it is clearer and more concise, keeping its meaning and tone.'
+                },
+                {
+                    id: 'factcheck',
+                    label: 'Fact-check',
+                    prompt: 'Fact-check the claims in the quoted text. For each claim, say whether it is accurate, inaccurate or unverifiable, and why.',
+                    preferredModel: 'perplexity'
+                }
+            ];
+        }
+
+        // Longest selection sent as quoted context
+        static get MAX_QUOTE_LENGTH() {
+            return 4000;
+        }
+
+        static get(id) {
+            return SelectionActions.ACTIONS.find(action => action.id === id) || null;
+        }
+
+        static buildPrompt(id, { language = 'English' } = {}) {
+            const action = SelectionActions.get(id);
+            return action ? action.prompt.replace('{language}', language) : null;
+        }
+
+        /**
+         * Prefix a question with the selection as a quoted block
+         */
+        static withQuote(selection, question) {
+            const quote = selection.length > SelectionActions.MAX_QUOTE_LENGTH ?
+                `${selection.slice(0, SelectionActions.MAX_QUOTE_LENGTH)}…` :
+                selection;
+            return `Quoted text from the page:\n"""\n${quote}\n"""\n\n${question}`;
+        }
+    };
+}
@@ -14,7 +14,7 @@ if (!window.UsageTracker) {
             this.initialized = true;
             return true;
         } catch (error) {
-            console.error('Storage initialization failed:', error);
+            Logger.error('Storage initialization failed:', error);
             return false;
         }
     }
@@ -65,7 +65,7 @@ if (!window.UsageTracker) {
               credits: usageInfo
           });
       } catch (error) {
-          console.debug('No popup available for credits update');
+          Logger.debug('No popup available for credits update');
       }
 
       // Then try all tabs using chrome runtime instead of tabs API
@@ -74,10 +74,10 @@ if (!window.UsageTracker) {
               action: 'updateCredits',
               credits: usageInfo
           }).catch(error => {
-              console.debug('Error broadcasting to tabs:', error);
+              Logger.debug('Error broadcasting to tabs:', error);
           });
       } catch (error) {
-          console.debug('Error broadcasting usage update:', error);
+          Logger.debug('Error broadcasting usage update:', error);
       }
     }
 
@@ -105,7 +105,7 @@ if (!window.UsageTracker) {
                   await this.broadcastToAllTargets(usageInfo);
                   resolve(usageInfo);
               } catch (error) {
-                  console.error('Error in incrementUsage:', error);
+                  Logger.error('Error in incrementUsage:', error);
                   resolve({
                       currentUsage: 0,
                       remaining: this.MAX_FREE_USES,
@@ -3,7 +3,8 @@ if (!window.VoiceService) {
         constructor() {
             this.mediaRecorder = null;
             this.audioChunks = [];
-            this.openaiKey = '';
+            this.handle = null; // transcription capability from the background; never the key
+            this.lastError = null; // AIError from the last failed key validation
             this.isInitialized = false;
             this.initPromise = this.initialize();
             this.initRetryCount = 0;
@@ -22,7 +23,7 @@ if (!window.VoiceService) {
 
         log(message, data = null) {
             if (this.DEBUG) {
-                console.log(`[VoiceService] ${message}`, data || '');
+                Logger.info(`[VoiceService] ${message}`, data || '');
             }
         }
 
@@ -35,50 +36,13 @@ if (!window.VoiceService) {
                 try {
                     this.log('Initializing VoiceService...');
                     
-                    // Get OpenAI key from Chrome storage
-                    this.log('Loading key from Chrome storage');
-                    
-                    let key = null;
-                    try {
-                        const result = await chrome.storage.local.get(['openaiKey']);
-                        if (!result.openaiKey) {
-                            throw new Error('OpenAI key not found in storage');
-                        }
-                        key = result.openaiKey;
-                        this.log('Key loaded from storage, validating...');
-                    } catch (error) {
-                        this.log('Storage key error:', error);
-                        
-                        // Try loading from .env as fallback
-                        try {
-                            const envResponse = await fetch(chrome.runtime.getURL('.env'));
-                            if (envResponse.ok) {
-                                const envText = await envResponse.text();
-                                const match = envText.match(/OPENAI_API_KEY="?([^"\s]+)"?/);
-                                if (match && match[1]) {
-                                    key = match[1];
-                                    this.log('Key loaded from .env, validating...');
-                                }
-                            }
-                        } catch (envError) {
-                            this.log('Failed to load key from .env:', envError);
-                        }
-                        
-                        if (!key) {
-                            throw new Error('No OpenAI key available');
-                        }
-                    }
-        
-                    if (!this.isValidKeyFormat(key)) {
-                        throw new Error('Invalid key format');
-                    }
-        
-                    const isValid = await this.validateKey(key);
-                    if (!isValid) {
-                        throw new Error('Key validation failed');
+                    // The background checks its OpenAI key and hands back a handle
+                    const handle = await this.requestHandle();
+                    if (!handle) {
+                        throw this.lastError || new AIError(AIError.CODES.AUTH, 'Key validation failed', { provider: 'openai' });
                     }
         
-                    this.openaiKey = key;
+                    this.handle = handle;
                     this.isInitialized = true;
                     this.log('Successfully initialized');
                     return true;
@@ -94,45 +58,51 @@ if (!window.VoiceService) {
             return this.initializePromise;
         }
 
-        async validateKey(key) {
-            if (!key) return false;
+        // Resolves to a transcription handle, or null with the structured error in lastError
+        async requestHandle() {
+            this.lastError = null;
             
             try {
-                // Send validation request to background script with timeout
+                // Send validation request to background script; it has its own
+                // 5s timeout, so allow a little longer here
                 const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error('Key validation timeout')), 5000);
+                    setTimeout(() => reject(new AIError(AIError.CODES.TIMEOUT, 'Key validation timeout')), 8000);
                 });
         
                 const validationPromise = new Promise((resolve, reject) => {
                     chrome.runtime.sendMessage(
-                        { action: 'validateOpenAIKey', key },
+                        { action: 'validateOpenAIKey' },
                         response => {
                             if (chrome.runtime.lastError) {
                                 reject(chrome.runtime.lastError);
                             } else {
-                                resolve(response?.success || false);
+                                if (!response?.success) {
+                                    this.lastError = AIError.fromResponse(response);
+                                }
+                                resolve(response?.success ? response.handle : null);
                             }
                         }
                     );
                 });
         
                 // Race between validation and timeout
-                const isValid = await Promise.race([validationPromise, timeoutPromise]);
-                if (!isValid) {
+                const handle = await Promise.race([validationPromise, timeoutPromise]);
+                if (!handle) {
                     this.log('Key validation failed - invalid key response');
-                    return false;
+                    return null;
                 }
         
-                return true;
+                return handle;
             } catch (error) {
                 this.log('Key validation error:', error);
-                return false;
+                this.lastError = AIError.from(error, 'openai');
+                return null;
             }
         }
         
-        async sendAudioToOpenAI(audioBlob) {
-            if (!this.openaiKey) {
-                throw new Error('No API key available');
+        async sendAudioToOpenAI(audioBlob, isRetry = false) {
+            if (!this.handle) {
+                throw new Error('Voice input is not set up');
             }
         
             try {
@@ -147,11 +117,22 @@ if (!window.VoiceService) {
                 const response = await chrome.runtime.sendMessage({
                     action: 'transcribeAudio',
                     audio: base64Audio,
-                    key: this.openaiKey
+                    mimeType: audioBlob.type,
+                    handle: this.handle
                 });
         
-                if (!response.success) {
-                    throw new Error(response.error || 'Transcription failed');
+                // Handles don't survive a worker restart or the keys being
+                // locked; get a fresh one and try once more
+                if (response?.handleExpired && !isRetry) {
+                    this.isInitialized = false;
+                    this.handle = null;
+                    this.initializePromise = null;
+                    await this.initialize();
+                    return this.sendAudioToOpenAI(audioBlob, true);
+                }
+        
+                if (!response?.success) {
+                    throw AIError.fromResponse(response);
                 }
         
                 return response.text;
@@ -161,10 +142,6 @@ if (!window.VoiceService) {
             }
         }
 
-        isValidKeyFormat(key) {
-            return typeof key === 'string' && /^sk-[A-Za-z0-9]{48}$/.test(key.trim());
-        }
-
         async startListening(onResult, onError) {
             try {
                 this.log('Starting voice recording...');
@@ -200,14 +177,13 @@ if (!window.VoiceService) {
                     } catch (error) {
                         this.log('Transcription error:', error);
                         
-                        if (error.status === 401) {
+                        // Re-validate next time; the key is shared with the
+                        // OpenAI chat provider, so leave it for the user to fix
+                        if (error.code === AIError.CODES.AUTH || error.code === AIError.CODES.LOCKED) {
                             this.isInitialized = false;
-                            this.openaiKey = '';
-                            await this.clearStoredKey();
-                            onError(new Error('OpenAI API key is invalid or expired. Please update your settings.'));
-                        } else {
-                            onError(error);
+                            this.handle = null;
                         }
+                        onError(error);
                     } finally {
                         stream.getTracks().forEach(track => track.stop());
                     }
@@ -232,7 +208,7 @@ if (!window.VoiceService) {
         cleanup() {
             this.log('Cleaning up VoiceService');
             this.stopListening();
-            this.openaiKey = '';
+            this.handle = null;
             this.isInitialized = false;
             this.initializePromise = null;
             this.audioChunks = [];
@@ -341,6 +317,9 @@ if (!window.VoiceService) {
                     action: 'requestVoicePermission'
                 });
                 
+                if (!response?.success) {
+                    this.log('Microphone permission not granted:', response?.error);
+                }
                 return response?.success || false;
             } catch (error) {
                 this.log('Permission request error:', error);